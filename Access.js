@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Access checks for the administrative entry points.
+ * The web app runs as the deploying user and is open to anyone, and google.script.run can call
+ * every global function whose name does not end in an underscore. Functions that change the
+ * triggers, the archive or the sheets, or that return staff-only data, therefore check that the
+ * user running them can edit the home spreadsheet before doing anything. An anonymous visitor
+ * of the web app has no email, so they never pass the check.
+ */
+
+/**
+ * Whether the user running this execution can edit the home spreadsheet, once checked.
+ * @type {boolean|null}
+ */
+let callerIsSpreadsheetEditor = null;
+
+/**
+ * Checks whether the user running the script can edit the home spreadsheet (see
+ * getHomeSpreadsheetId). The answer is kept for the rest of the execution.
+ * @returns {boolean} True if the user is the spreadsheet's owner or one of its editors; false
+ * if they are not, or their email cannot be read (as for anonymous web app visitors).
+ */
+function isCallerSpreadsheetEditor() {
+  if (callerIsSpreadsheetEditor !== null) return callerIsSpreadsheetEditor;
+
+  let email = '';
+  try {
+    email = String(Session.getActiveUser().getEmail() || '').toLowerCase();
+  } catch (e) {
+    Logger.log(`Could not read the active user: ${e.message}`);
+  }
+  if (!email) {
+    callerIsSpreadsheetEditor = false;
+    return false;
+  }
+
+  try {
+    const spreadsheet = SpreadsheetApp.openById(getHomeSpreadsheetId());
+    const owner = spreadsheet.getOwner();
+    callerIsSpreadsheetEditor = (!!owner && owner.getEmail().toLowerCase() === email) ||
+      spreadsheet.getEditors().some(editor => editor.getEmail().toLowerCase() === email);
+  } catch (e) {
+    Logger.log(`Could not read the editors of the home spreadsheet: ${e.message}`);
+    callerIsSpreadsheetEditor = false;
+  }
+  return callerIsSpreadsheetEditor;
+}
+
+/**
+ * Stops an administrative action unless the user running it can edit the home spreadsheet.
+ * @param {string} action What is being done, for the error (e.g., 'Removing the triggers').
+ * @throws {Error} If the user is not an editor of the spreadsheet.
+ */
+function requireSpreadsheetEditor(action) {
+  if (isCallerSpreadsheetEditor()) return;
+  Logger.log(`${action} was refused: the caller is not an editor of the spreadsheet.`);
+  throw new Error(`${action} is only available to editors of the spreadsheet.`);
+}
@@ -0,0 +1,224 @@
+/**
+ * @fileoverview The admin dashboard sidebar (AdminSidebar.html).
+ * Shows the latest extraction, archive and weekly runs from the run history, any extraction run
+ * in progress, each class's health on Current_Day_Agendas and the installed triggers, and offers
+ * one-click actions. While a sidebar action runs, isUiAvailable() reports no UI so the action's
+ * result comes back to the sidebar, where it stays visible, instead of in a blocking alert.
+ *
+ * Every function the sidebar calls can also be called from the public web page, so each one
+ * first checks that the caller can edit the spreadsheet (see Access.js).
+ */
+
+/**
+ * The run history operations whose latest run is shown at the top of the dashboard.
+ * @type {Array<string>}
+ */
+const DASHBOARD_OPERATIONS = ['Daily extraction', 'Daily archive', 'Weekly extraction'];
+
+/**
+ * Set while a sidebar action runs (see runSidebarAction and isUiAvailable).
+ * @type {boolean}
+ */
+let sidebarActionInProgress = false;
+
+/**
+ * Opens the admin dashboard sidebar. Designed to be run from the menu.
+ */
+function showAdminSidebar() {
+  const html = HtmlService.createHtmlOutputFromFile('AdminSidebar').setTitle('Agenda Admin');
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * Gathers everything the dashboard shows. Called by the sidebar.
+ * @returns {Object} An object with the dashboard ('payload') or an 'error'.
+ */
+function getAdminDashboardData() {
+  try {
+    requireSpreadsheetEditor('The admin dashboard');
+    const spreadsheet = SpreadsheetApp.openById(getSetting('SPREADSHEET_ID'));
+    // One read of the run history serves both the latest runs and the recent list
+    const runs = getRecentRuns(CONSTANTS.RUN_HISTORY_MAX_ROWS, run => run['Source'] !== 'web app');
+
+    return {
+      payload: {
+        lastRuns: DASHBOARD_OPERATIONS.map(operation => {
+          const run = runs.find(candidate => candidate['Operation'] === operation);
+          return run ? summarizeRunForDashboard(run) : { operation: operation, outcome: 'No runs recorded' };
+        }),
+        recentRuns: runs.slice(0, 10).map(summarizeRunForDashboard),
+        extractionInProgress: describeExtractionInProgress(),
+        teachers: getTeacherHealth(spreadsheet),
+        triggers: getTriggerHealth(),
+        refreshedAt: formatTimestamp(new Date())
+      }
+    };
+  } catch (e) {
+    Logger.log(`Error gathering the admin dashboard: ${e.message}`);
+    return { error: `Failed to load the dashboard: ${e.message}` };
+  }
+}
+
+/**
+ * Converts a run history row to plain strings for the sidebar (google.script.run cannot return dates).
+ * @param {Object.<string, *>} run A run from getRecentRuns.
+ * @returns {{runId: string, operation: string, source: string, started: string, seconds: number,
+ *   outcome: string, counts: string, errors: string}} The run.
+ */
+function summarizeRunForDashboard(run) {
+  const started = run['Started'] instanceof Date ? formatTimestamp(run['Started']) : String(run['Started']);
+  return {
+    runId: String(run['Run ID']),
+    operation: String(run['Operation']),
+    source: String(run['Source']),
+    started: started,
+    seconds: Math.round(Number(run['Duration (ms)']) / 1000),
+    outcome: String(run['Outcome']),
+    counts: String(run['Counts']),
+    errors: String(run['Errors'])
+  };
+}
+
+/**
+ * Describes the paused or running daily extraction, if there is one.
+ * @returns {{runId: string, dayOfWeek: string, done: number, total: number, started: string}|null}
+ * The run's progress, or null if no run is in progress.
+ */
+function describeExtractionInProgress() {
+  const state = loadExtractionRunState();
+  if (!state) return null;
+  return {
+    runId: state.runId,
+    dayOfWeek: state.dayOfWeek,
+    done: state.nextIndex,
+    total: state.totalRows,
+    started: formatTimestamp(new Date(state.startedAt))
+  };
+}
+
+/**
+ * Lists each class on Current_Day_Agendas with its status and any problem, problems first.
+ * A class has a problem when its read failed ('Stale' or 'Unavailable') or when some of its
+ * boxes were not found.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The main spreadsheet.
+ * @returns {Array<{teacher: string, className: string, gradeLevel: string, status: string,
+ *   updatedAt: string, problem: string}>} The classes.
+ */
+function getTeacherHealth(spreadsheet) {
+  const dataSheet = spreadsheet.getSheetByName(getSetting('DATA_SHEET_NAME'));
+  if (!dataSheet || dataSheet.getLastRow() < 2) return [];
+
+  const values = dataSheet.getDataRange().getValues();
+  const headers = trimHeaderRow(values[0]);
+  const cell = (row, header) => headers.indexOf(header) === -1 ? '' : formatCellForWeb(header, row[headers.indexOf(header)]);
+
+  const teachers = values.slice(1).map(row => {
+    const status = cell(row, 'Status') || 'OK';
+    const missingBoxes = cell(row, 'Match Strategy').split(';')
+      .map(part => part.trim())
+      .filter(part => /:\s*none$/.test(part))
+      .map(part => part.replace(/:\s*none$/, ''));
+    const problems = [];
+    if (cell(row, 'Error')) problems.push(cell(row, 'Error'));
+    if (missingBoxes.length > 0) problems.push(`Boxes not found: ${missingBoxes.join(', ')}`);
+
+    return {
+      teacher: cell(row, 'Teacher Last Name'),
+      className: cell(row, 'Class Name'),
+      gradeLevel: cell(row, 'Grade Level'),
+      status: status,
+      updatedAt: cell(row, 'Updated At'),
+      problem: problems.join(' — ')
+    };
+  });
+
+  return teachers.sort((a, b) => (b.problem ? 1 : 0) - (a.problem ? 1 : 0));
+}
+
+/**
+ * Runs a sidebar action with alerts turned off and describes its result, if the caller can edit
+ * the spreadsheet. When the action returns no message of its own, its newest run in the run
+ * history is described instead.
+ * @param {string} operation The action's run history operation (e.g., 'Daily archive').
+ * @param {function(): (string|undefined)} action The action; may return a result message.
+ * @returns {Object} An object with the result ('payload': {message}) or an 'error'.
+ */
+function runSidebarAction(operation, action) {
+  const startedAt = Date.now();
+  let message;
+  sidebarActionInProgress = true;
+  try {
+    requireSpreadsheetEditor(operation);
+    message = action();
+  } catch (e) {
+    Logger.log(`Sidebar action '${operation}' failed: ${e.message}`);
+    return { error: `${operation} failed: ${e.message}` };
+  } finally {
+    sidebarActionInProgress = false;
+  }
+
+  if (!message) {
+    // Allow for the sheet storing times to the second
+    const run = getRecentRuns(20, candidate => candidate['Operation'] === operation &&
+      new Date(candidate['Started']).getTime() >= startedAt - 2000)[0];
+    const progress = operation === 'Daily extraction' ? describeExtractionInProgress() : null;
+    if (run) {
+      const summary = summarizeRunForDashboard(run);
+      message = `${operation}: ${summary.outcome} in ${summary.seconds} s.` +
+        (summary.counts ? ` ${summary.counts}.` : '') + (summary.errors ? `\n${summary.errors}` : '');
+    } else if (progress) {
+      message = `${operation} paused after ${progress.done} of ${progress.total} rows to stay within the execution time limit; it continues automatically.`;
+    } else {
+      message = `${operation} finished.`;
+    }
+  }
+  return { payload: { message: message } };
+}
+
+/**
+ * Sidebar action: runs the daily extraction now.
+ * @returns {Object} The result from runSidebarAction.
+ */
+function adminRunDailyExtraction() {
+  return runSidebarAction('Daily extraction', () => extractTextForCurrentDayAgenda());
+}
+
+/**
+ * Sidebar action: re-extracts the Presentation_IDs rows selected in the sheet.
+ * @returns {Object} The result from runSidebarAction.
+ */
+function adminRefreshSelectedPresentations() {
+  return runSidebarAction('Selected presentation refresh', refreshSelectedPresentations);
+}
+
+/**
+ * Sidebar action: archives today's data now.
+ * @returns {Object} The result from runSidebarAction.
+ */
+function adminArchiveNow() {
+  return runSidebarAction('Daily archive', () => archiveCurrentDayDataOnly());
+}
+
+/**
+ * Sidebar action: validates the Presentation_IDs sheet.
+ * @returns {Object} The result from runSidebarAction.
+ */
+function adminValidatePresentationConfig() {
+  return runSidebarAction('Config validation', validatePresentationConfig);
+}
+
+/**
+ * Sidebar action: creates presentation copies for the Staff Directory rows selected in the sheet.
+ * @returns {Object} The result from runSidebarAction.
+ */
+function adminCreateCopiesForSelectedRows() {
+  return runSidebarAction('Copy creation', createCopiesForSelectedRows);
+}
+
+/**
+ * Sidebar action: installs missing triggers and removes duplicates.
+ * @returns {Object} The result from runSidebarAction.
+ */
+function adminRepairTriggers() {
+  return runSidebarAction('Trigger repair', repairAgendaTriggers);
+}
@@ -0,0 +1,371 @@
+/**
+ * @fileoverview Backfill of archive days that were never archived.
+ * When the daily archive did not run, or ran after a failed extraction, a day's agendas are
+ * still on each teacher's "WEEK OF" slide for that week. The backfill reads them back: for each
+ * school day in a date range it finds every presentation's agenda slide for the day's week (see
+ * WeekHeaderMatcher.js), extracts the day's boxes and writes the rows to the day's monthly
+ * archive sheet, as the daily archive would have.
+ *
+ * Weekends, days whose layout profile has no boxes, no-school days of the school calendar and
+ * days from today on are skipped. Days already archived are skipped unless the backfill is
+ * forced, in which case their rows in the live archive are replaced; days of a rolled-over
+ * school year (see ArchiveRollover.js) are never replaced. Each presentation is read once per
+ * week for all of the week's days. A backfill that runs out of time writes the rows of the
+ * presentations it has read and saves where it stopped in the week; run again for a range that
+ * includes that week, it reads only the presentations left and adds their rows to those days.
+ */
+
+/**
+ * The most days one backfill may cover.
+ * @type {number}
+ */
+const ARCHIVE_BACKFILL_MAX_DAYS = 120;
+
+/**
+ * Prompts for a date range and whether to replace days already archived, then backfills the
+ * archive. Designed to be run from the menu.
+ * @returns {string|undefined} A summary of the result, or undefined if cancelled.
+ */
+function backfillArchiveDaysFromMenu() {
+  requireSpreadsheetEditor('The archive backfill');
+  if (!isUiAvailable()) {
+    Logger.log('The archive backfill prompts for its date range and must be run from the spreadsheet menu; call backfillArchiveDays_ from the script editor otherwise.');
+    return;
+  }
+  const ui = SpreadsheetApp.getUi();
+
+  const rangeResponse = ui.prompt('Backfill Archive Days',
+    'First and last day to backfill, as YYYY-MM-DD (e.g., "2025-09-08 2025-09-12"; one date for a single day):',
+    ui.ButtonSet.OK_CANCEL);
+  if (rangeResponse.getSelectedButton() !== ui.Button.OK) return;
+  const dates = rangeResponse.getResponseText().trim().split(/\s*,\s*|\s+(?:(?:to|-|–|—)\s+)?/i).filter(part => part);
+  const startDate = normalizeDateToString(dates[0] || '');
+  const endDate = dates.length > 1 ? normalizeDateToString(dates[1]) : startDate;
+  if (!startDate || !endDate || dates.length > 2) {
+    ui.alert(`'${rangeResponse.getResponseText().trim()}' is not a date range. Enter the first and last day as YYYY-MM-DD.`);
+    return;
+  }
+
+  const forceResponse = ui.alert('Backfill Archive Days',
+    'Replace days that are already archived? Choose No to fill only the missing days.',
+    ui.ButtonSet.YES_NO_CANCEL);
+  if (forceResponse === ui.Button.CANCEL || forceResponse === ui.Button.CLOSE) return;
+
+  const locked = runWithScriptLock('Archive backfill', 'menu', CONSTANTS.LOCK_WAIT_MS.manual,
+    () => backfillArchiveDays_(startDate, endDate, forceResponse === ui.Button.YES, 'menu'));
+  if (locked.skipped) return 'Archive backfill did not run because another extraction or archive is in progress.';
+
+  // Alert only after the lock is released, so an open dialog does not hold up other runs
+  ui.alert(locked.result);
+  return locked.result;
+}
+
+/**
+ * Backfills the archive for every school day of a date range from the presentations' week
+ * slides, continuing a week an earlier backfill stopped part way through. The caller must hold
+ * the script lock.
+ * @param {string} startDate The first day ('YYYY-MM-DD').
+ * @param {string} endDate The last day ('YYYY-MM-DD').
+ * @param {boolean} [force] If true, days already in the live archive are extracted again and
+ * their rows replaced.
+ * @param {string} [source] What started the backfill, for the run history; defaults to 'menu'.
+ * @returns {string} A summary of the result.
+ */
+function backfillArchiveDays_(startDate, endDate, force, source) {
+  const run = startRunRecord('Archive backfill', source || 'menu');
+  const startedAt = Date.now();
+  const lines = [];
+  let message;
+
+  try {
+    const days = listBackfillDays(startDate, endDate);
+    const spreadsheet = SpreadsheetApp.openById(getSetting('SPREADSHEET_ID'));
+    const configSheet = spreadsheet.getSheetByName(getSetting('CONFIG_SHEET_NAME'));
+    if (!configSheet) {
+      throw new Error(`Configuration sheet '${getSetting('CONFIG_SHEET_NAME')}' not found. Please ensure it exists.`);
+    }
+
+    const calendar = loadSchoolCalendar(spreadsheet);
+    const archivedDates = new Set(listArchivedDatesAcrossArchives(spreadsheet));
+    const rolledOverYears = loadArchiveCatalog(spreadsheet).map(entry => entry.schoolYear);
+    const today = normalizeDateToString(new Date());
+    const cursor = loadBackfillCursor();
+    const isResumedDay = (day) => !!cursor && cursor.weekOf === day.weekOf && cursor.days.indexOf(day.dateString) !== -1;
+
+    const weeks = {};
+    days.forEach(day => {
+      if (day.dayOfWeek === 'Saturday' || day.dayOfWeek === 'Sunday') return;
+      const calendarDay = getCalendarDay(calendar, day.dateString);
+      let skipReason = null;
+      if (day.dateString >= today) {
+        skipReason = 'not over yet';
+      } else if (calendarDay && calendarDay.noSchool) {
+        skipReason = `no school (${calendarDay.type}${calendarDay.note ? ': ' + calendarDay.note : ''})`;
+      } else if (isResumedDay(day)) {
+        // Written in part by the backfill that stopped in its week; the rest is added below
+      } else if (archivedDates.has(day.dateString) && rolledOverYears.indexOf(getSchoolYearLabel(day.dateString)) !== -1) {
+        skipReason = 'already archived in a rolled-over school year';
+      } else if (archivedDates.has(day.dateString) && !force) {
+        skipReason = 'already archived';
+      } else if (cursor && cursor.weekOf === day.weekOf) {
+        skipReason = 'the backfill that stopped part way through its week must finish first; run the backfill again';
+      }
+      if (skipReason) {
+        lines.push(`${day.dateString}: skipped, ${skipReason}.`);
+        countInRunRecord(run, 'days skipped');
+        return;
+      }
+      weeks[day.weekOf] = weeks[day.weekOf] || [];
+      weeks[day.weekOf].push(day);
+    });
+
+    const configEntries = readPresentationConfig(configSheet).filter(entry => entry.presentationId);
+    const { profiles, sections } = resolveLayoutProfiles(configEntries);
+    const dataHeaders = buildAgendaHeaders(sections);
+    let replacedRows = false;
+    let stoppedAt = null;
+
+    for (const weekOf of Object.keys(weeks).sort()) {
+      // A week stopped part way keeps its days; only the presentations not read yet are read
+      const resumed = !!cursor && cursor.weekOf === weekOf;
+      const days = weeks[weekOf];
+      const startIndex = resumed ? cursor.nextIndex : 0;
+      const extracted = extractBackfillWeek(spreadsheet, weekOf, days, configEntries, profiles, run, startedAt, startIndex);
+
+      days.forEach(day => {
+        const records = extracted.recordsByDate[day.dateString];
+        if (records.length === 0) {
+          if (startIndex === 0 && extracted.nextIndex === null) {
+            lines.push(`${day.dateString}: skipped, no presentation has ${day.dayOfWeek} boxes.`);
+            countInRunRecord(run, 'days skipped');
+          }
+          return;
+        }
+        // Only the first part of a day replaces its old rows; later parts add to them
+        const replace = startIndex === 0 && force && archivedDates.has(day.dateString);
+        const written = writeBackfilledDay(spreadsheet, day, dataHeaders, records, replace);
+        replacedRows = replacedRows || written.replaced > 0;
+        const unavailable = records.filter(record => record['Status'] !== 'OK').length;
+        const verb = written.replaced > 0 ? 'replaced' : (startIndex > 0 ? 'added the remaining' : 'archived');
+        lines.push(`${day.dateString}: ${verb} ${records.length} rows` + (unavailable > 0 ? ` (${unavailable} unavailable)` : '') +
+          (extracted.nextIndex !== null ? ', part way; the rest follow in the next backfill.' : '.'));
+        countInRunRecord(run, extracted.nextIndex !== null ? 'days archived in part' : 'days archived');
+        countInRunRecord(run, 'rows archived', records.length);
+      });
+
+      if (extracted.nextIndex !== null) {
+        saveBackfillCursor({ weekOf: weekOf, days: days.map(day => day.dateString), nextIndex: extracted.nextIndex });
+        stoppedAt = weekOf;
+        break;
+      }
+      if (resumed) saveBackfillCursor(null);
+    }
+
+    if (replacedRows) {
+      // Replacing rows moves the rows below them, so the index is rebuilt rather than appended to
+      rebuildArchiveIndex(spreadsheet);
+    }
+
+    if (lines.length === 0) {
+      message = `No school days to backfill between ${startDate} and ${endDate}.`;
+      finishRunRecord(run, 'Nothing to do');
+    } else {
+      message = `Archive backfill, ${startDate} to ${endDate}:\n${lines.join('\n')}` +
+        (stoppedAt ? `\n\nStopped part way through the week of ${stoppedAt} to stay within the time limit; run the backfill again for the remaining days.` : '') +
+        (cursor && !weeks[cursor.weekOf] ? `\n\nAn earlier backfill stopped part way through the week of ${cursor.weekOf}; include that week to finish it.` : '');
+      finishRunRecord(run);
+    }
+
+  } catch (e) {
+    Logger.log(`Error in archive backfill: ${e.message}`);
+    finishRunRecord(run, 'Failed', e.message);
+    message = `Archive backfill failed: ${e.message}` + (lines.length > 0 ? `\n\nBefore the failure:\n${lines.join('\n')}` : '');
+  }
+
+  Logger.log(message);
+  return message;
+}
+
+/**
+ * Lists the days of a date range with their day name and week.
+ * @param {string} startDate The first day ('YYYY-MM-DD').
+ * @param {string} endDate The last day ('YYYY-MM-DD').
+ * @returns {Array<{dateString: string, date: Date, dayOfWeek: string, weekOf: string}>} The days,
+ * in order; weekOf is the day's Monday ('YYYY-MM-DD').
+ * @throws {Error} If the range is reversed or longer than ARCHIVE_BACKFILL_MAX_DAYS.
+ */
+function listBackfillDays(startDate, endDate) {
+  if (endDate < startDate) {
+    throw new Error(`The range ends (${endDate}) before it starts (${startDate}).`);
+  }
+  const timeZone = Session.getScriptTimeZone();
+  const [year, month, day] = startDate.split('-').map(Number);
+  const days = [];
+  for (let offset = 0; ; offset++) {
+    // Midday keeps daylight saving changes from moving a day across midnight
+    const date = new Date(year, month - 1, day + offset, 12);
+    const dateString = normalizeDateToString(date);
+    if (dateString > endDate) break;
+    if (offset >= ARCHIVE_BACKFILL_MAX_DAYS) {
+      throw new Error(`A backfill may cover at most ${ARCHIVE_BACKFILL_MAX_DAYS} days; split the range.`);
+    }
+    const weekday = date.getDay();
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - (weekday === 0 ? 6 : weekday - 1), 12);
+    days.push({
+      dateString: dateString,
+      date: date,
+      dayOfWeek: Utilities.formatDate(date, timeZone, 'EEEE'),
+      weekOf: normalizeDateToString(monday)
+    });
+  }
+  return days;
+}
+
+/**
+ * Loads where an earlier backfill stopped part way through a week.
+ * @returns {{weekOf: string, days: Array<string>, nextIndex: number}|null} The week, its days
+ * that were written in part and the index of the first presentation entry not read yet; or null.
+ */
+function loadBackfillCursor() {
+  const raw = PropertiesService.getScriptProperties().getProperty(getSchoolPropertyKey(CONSTANTS.ARCHIVE_BACKFILL_CURSOR_PROPERTY));
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    Logger.log(`Discarding unreadable backfill cursor: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Saves where a backfill stopped part way through a week, or clears it once the week is finished.
+ * @param {{weekOf: string, days: Array<string>, nextIndex: number}|null} cursor The cursor, or null.
+ */
+function saveBackfillCursor(cursor) {
+  const key = getSchoolPropertyKey(CONSTANTS.ARCHIVE_BACKFILL_CURSOR_PROPERTY);
+  if (cursor) {
+    PropertiesService.getScriptProperties().setProperty(key, JSON.stringify(cursor));
+  } else {
+    PropertiesService.getScriptProperties().deleteProperty(key);
+  }
+}
+
+/**
+ * Reads one week's agenda slide from every presentation, from the given entry on, and extracts
+ * the boxes of the given days. A presentation whose slide cannot be found or read gives
+ * 'Unavailable' rows with the error, as the daily extraction does. Stops before
+ * CONSTANTS.EXTRACTION_TIME_BUDGET_MS runs out, returning what it has read so far.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The school's spreadsheet.
+ * @param {string} weekOf The week's Monday ('YYYY-MM-DD').
+ * @param {Array<{dateString: string, dayOfWeek: string}>} days The days of the week to extract.
+ * @param {Array<Object>} configEntries The entries returned by readPresentationConfig.
+ * @param {Object.<string, Object>} profiles The resolved profiles from resolveLayoutProfiles.
+ * @param {Object} run The backfill's run record, for errors.
+ * @param {number} startedAt When the backfill started (ms since the epoch).
+ * @param {number} startIndex The index in configEntries of the first entry to read.
+ * @returns {{recordsByDate: Object.<string, Array<Object.<string, string>>>, nextIndex: number|null}}
+ * The agenda records of each day read, keyed by date, skipping presentations whose layout
+ * profile has no boxes for the day; and the index of the first entry left unread, or null if
+ * every entry was read.
+ */
+function extractBackfillWeek(spreadsheet, weekOf, days, configEntries, profiles, run, startedAt, startIndex) {
+  const [year, month, day] = weekOf.split('-').map(Number);
+  const weekMatcher = buildCalendarAwareWeekMatcher(spreadsheet, new Date(year, month - 1, day, 12));
+  const recordsByDate = {};
+  days.forEach(backfillDay => { recordsByDate[backfillDay.dateString] = []; });
+  Logger.log(`Backfilling the week of ${weekOf}: ${days.map(backfillDay => backfillDay.dateString).join(', ')}`);
+
+  for (let index = startIndex; index < configEntries.length; index++) {
+    const entry = configEntries[index];
+    const { presentationId, teacherLastName, className, gradeLevel, profileName } = entry;
+    const profile = profiles[profileName];
+    const profileDays = profile ? profile.days : getLayoutProfile().days;
+    const entryDays = days.filter(backfillDay => profileDays.hasOwnProperty(backfillDay.dayOfWeek));
+    if (entryDays.length === 0) continue;
+
+    if (Date.now() - startedAt >= CONSTANTS.EXTRACTION_TIME_BUDGET_MS) {
+      Logger.log(`Time budget reached after ${Date.now() - startedAt} ms; the week of ${weekOf} stops at entry ${index + 1} of ${configEntries.length}.`);
+      return { recordsByDate: recordsByDate, nextIndex: index };
+    }
+
+    const baseRecord = (dayOfWeek) => ({
+      'Teacher Last Name': teacherLastName,
+      'Class Name': className,
+      'Day of Week': dayOfWeek,
+      'Grade Level': gradeLevel,
+      'Layout Profile': profileName,
+      'Presentation ID': presentationId
+    });
+
+    try {
+      if (!profile) {
+        throw new Error(`Layout profile '${profileName}' is not defined in the LAYOUT_PROFILES setting.`);
+      }
+      const presentation = SlidesApp.openById(presentationId);
+      const { slide: agendaSlide, matchedPattern } = findAgendaSlide(presentation, weekMatcher);
+      Logger.log(`Found agenda slide by ${matchedPattern} for ${teacherLastName} - ${className}`);
+
+      const updatedAt = formatTimestamp(new Date());
+      entryDays.forEach(backfillDay => {
+        const boxes = extractAgendaBoxes(agendaSlide, profile, backfillDay.dayOfWeek);
+        recordsByDate[backfillDay.dateString].push(Object.assign(baseRecord(backfillDay.dayOfWeek), boxes.values, {
+          'Rich Text': boxes.richText, 'Match Strategy': boxes.matchStrategy, 'Status': 'OK', 'Updated At': updatedAt
+        }));
+      });
+      countInRunRecord(run, 'presentations read');
+
+    } catch (e) {
+      Logger.log(`Error backfilling presentation ID ${presentationId} (${teacherLastName}, ${className}) for the week of ${weekOf}: ${e.message}`);
+      addRunError(run, `${weekOf} ${teacherLastName} - ${className}: ${e.message}`);
+      entryDays.forEach(backfillDay => {
+        recordsByDate[backfillDay.dateString].push(Object.assign(baseRecord(backfillDay.dayOfWeek), { 'Status': 'Unavailable', 'Error': e.message }));
+      });
+    }
+  }
+
+  return { recordsByDate: recordsByDate, nextIndex: null };
+}
+
+/**
+ * Writes one backfilled day to its monthly archive sheet, replacing the day's rows there first
+ * when asked to.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The school's spreadsheet.
+ * @param {{dateString: string, date: Date}} day The day.
+ * @param {Array<string>} dataHeaders The agenda headers the records follow (see buildAgendaHeaders).
+ * @param {Array<Object.<string, string>>} records The day's agenda records.
+ * @param {boolean} replace If true, the day's existing rows on the archive sheet are deleted first.
+ * @returns {{replaced: number}} The number of existing rows deleted. When rows were deleted, the
+ * caller must rebuild the archive index.
+ */
+function writeBackfilledDay(spreadsheet, day, dataHeaders, records, replace) {
+  const archiveSheet = getOrCreateArchiveSheet(day.date);
+  let replaced = 0;
+
+  if (replace && archiveSheet.getLastRow() > 1) {
+    const timeZone = spreadsheet.getSpreadsheetTimeZone();
+    const dates = archiveSheet.getRange(2, 1, archiveSheet.getLastRow() - 1, 1).getValues()
+      .map(row => normalizeDateToString(row[0], timeZone));
+    // Delete from the bottom up so the rows still to delete keep their numbers
+    for (let i = dates.length - 1; i >= 0; i--) {
+      if (dates[i] !== day.dateString) continue;
+      let first = i;
+      while (first > 0 && dates[first - 1] === day.dateString) first--;
+      archiveSheet.deleteRows(first + 2, i - first + 1);
+      replaced += i - first + 1;
+      i = first;
+    }
+  }
+
+  const values = [dataHeaders].concat(records.map(record => buildAgendaRow(dataHeaders, record)));
+  const formulas = values.map(row => row.map(() => ''));
+  const archiveHeaders = ensureArchiveHeaders(archiveSheet, dataHeaders);
+  const archiveRows = buildArchiveRows(values, formulas, archiveHeaders, day.dateString);
+
+  const firstRow = archiveSheet.getLastRow() + 1;
+  writeRowsInBatch(archiveSheet, firstRow, archiveRows);
+  if (replaced === 0) {
+    recordArchiveIndexEntry(spreadsheet, day.dateString, archiveSheet.getName(), firstRow, archiveRows.length);
+  }
+  Logger.log(`Backfilled ${archiveRows.length} rows for ${day.dateString} into ${archiveSheet.getName()}`);
+  return { replaced: replaced };
+}
@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Index of the archived days.
+ * The hidden Archive Index sheet lists, for each archived date, the archive sheet and the block of
+ * rows that hold it: A Date ('YYYY-MM-DD'), B Sheet, C First Row, D Row Count. The archive adds
+ * an entry as it writes a day's rows, so looking up a day reads only that day's rows and listing
+ * the archived days reads only the index.
+ *
+ * The index is rebuilt from the archive sheets when it does not exist yet, when a lookup finds
+ * that the indexed rows no longer hold the date (e.g., after rows were deleted by hand), and from
+ * the menu ("Rebuild Archive Index"). Rebuilds take the script lock, so they never race the
+ * archive's appends; a lookup made while another run holds the lock reads the archive sheets
+ * without rewriting the index.
+ */
+
+/**
+ * Column headers of the archive index sheet.
+ * @type {Array<string>}
+ */
+const ARCHIVE_INDEX_HEADERS = ['Date', 'Sheet', 'First Row', 'Row Count'];
+
+/**
+ * Loads the archive index.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The school's spreadsheet.
+ * @returns {Object.<string, Array<{sheetName: string, firstRow: number, rowCount: number}>>|null}
+ * The row blocks of each archived date, keyed by 'YYYY-MM-DD', or null if there is no index yet.
+ */
+function loadArchiveIndex(spreadsheet) {
+  const sheet = spreadsheet.getSheetByName(CONSTANTS.ARCHIVE_INDEX_SHEET_NAME);
+  if (!sheet) return null;
+
+  const index = {};
+  if (sheet.getLastRow() < 2) return index;
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, ARCHIVE_INDEX_HEADERS.length).getValues().forEach(row => {
+    const date = normalizeDateToString(row[0]);
+    if (!date || !row[1]) return;
+    index[date] = index[date] || [];
+    index[date].push({ sheetName: String(row[1]), firstRow: Number(row[2]), rowCount: Number(row[3]) });
+  });
+  return index;
+}
+
+/**
+ * Gets the archive index sheet, creating it (hidden) if needed.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The school's spreadsheet.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The index sheet.
+ */
+function getOrCreateArchiveIndexSheet(spreadsheet) {
+  let sheet = spreadsheet.getSheetByName(CONSTANTS.ARCHIVE_INDEX_SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(CONSTANTS.ARCHIVE_INDEX_SHEET_NAME);
+    // Keep dates as typed text rather than letting the sheet convert them
+    sheet.getRange('A:A').setNumberFormat('@');
+    writeRowsInBatch(sheet, 1, [ARCHIVE_INDEX_HEADERS]);
+    sheet.setFrozenRows(1);
+    sheet.hideSheet();
+    Logger.log(`Created archive index sheet: ${CONSTANTS.ARCHIVE_INDEX_SHEET_NAME}`);
+  }
+  return sheet;
+}
+
+/**
+ * Records a block of archived rows in the archive index. Called by the archive as it writes a
+ * day's rows; an index that does not exist yet is built from the archive sheets instead.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The school's spreadsheet.
+ * @param {string} dateString The archived date ('YYYY-MM-DD').
+ * @param {string} sheetName The archive sheet.
+ * @param {number} firstRow The first row written.
+ * @param {number} rowCount The number of rows written.
+ */
+function recordArchiveIndexEntry(spreadsheet, dateString, sheetName, firstRow, rowCount) {
+  if (!spreadsheet.getSheetByName(CONSTANTS.ARCHIVE_INDEX_SHEET_NAME)) {
+    rebuildArchiveIndex(spreadsheet);
+    return;
+  }
+  getOrCreateArchiveIndexSheet(spreadsheet).appendRow([dateString, sheetName, firstRow, rowCount]);
+}
+
+/**
+ * Lists the archive sheets of a spreadsheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The school's spreadsheet.
+ * @returns {Array<GoogleAppsScript.Spreadsheet.Sheet>} The archive sheets.
+ */
+function getArchiveSheets(spreadsheet) {
+  return spreadsheet.getSheets().filter(sheet => sheet.getName().startsWith(CONSTANTS.ARCHIVE_SHEET_PREFIX));
+}
+
+/**
+ * Reads the date column of every archive sheet once and lists the index entries: each run of
+ * consecutive rows with the same date becomes one entry.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The school's spreadsheet.
+ * @returns {Array<Array<*>>} The index rows (Date, Sheet, First Row, Row Count), sorted.
+ */
+function scanArchiveSheets(spreadsheet) {
+  const entries = [];
+  const timeZone = spreadsheet.getSpreadsheetTimeZone();
+  getArchiveSheets(spreadsheet).forEach(sheet => {
+    if (sheet.getLastRow() < 2) return;
+    const dates = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues().map(row => normalizeDateToString(row[0], timeZone));
+    let start = 0;
+    for (let i = 1; i <= dates.length; i++) {
+      if (i < dates.length && dates[i] === dates[start]) continue;
+      if (dates[start]) entries.push([dates[start], sheet.getName(), start + 2, i - start]);
+      start = i;
+    }
+  });
+  return entries.sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]) || a[2] - b[2]);
+}
+
+/**
+ * Turns index rows into the index returned by loadArchiveIndex.
+ * @param {Array<Array<*>>} entries The index rows from scanArchiveSheets.
+ * @returns {Object.<string, Array<{sheetName: string, firstRow: number, rowCount: number}>>} The index.
+ */
+function buildArchiveIndexFromEntries(entries) {
+  const index = {};
+  entries.forEach(entry => {
+    index[entry[0]] = index[entry[0]] || [];
+    index[entry[0]].push({ sheetName: entry[1], firstRow: entry[2], rowCount: entry[3] });
+  });
+  return index;
+}
+
+/**
+ * Rebuilds the archive index from the archive sheets (see scanArchiveSheets). The caller must
+ * hold the script lock; readers use loadOrRebuildArchiveIndex or rebuildArchiveIndexIfUnlocked.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The school's spreadsheet.
+ * @returns {Object.<string, Array<{sheetName: string, firstRow: number, rowCount: number}>>} The
+ * new index, as returned by loadArchiveIndex.
+ */
+function rebuildArchiveIndex(spreadsheet) {
+  const entries = scanArchiveSheets(spreadsheet);
+
+  const sheet = getOrCreateArchiveIndexSheet(spreadsheet);
+  if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, ARCHIVE_INDEX_HEADERS.length).clearContent();
+  }
+  writeRowsInBatch(sheet, 2, entries);
+  Logger.log(`Rebuilt the archive index: ${entries.length} entries.`);
+  return buildArchiveIndexFromEntries(entries);
+}
+
+/**
+ * Rebuilds the archive index if the script lock is free (see runWithScriptLockIfFree). While
+ * another run holds it, such as the nightly archive appending entries, the index is built from
+ * the archive sheets in memory and the index sheet is left alone.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The school's spreadsheet.
+ * @returns {Object.<string, Array<{sheetName: string, firstRow: number, rowCount: number}>>} The
+ * index, as returned by loadArchiveIndex.
+ */
+function rebuildArchiveIndexIfUnlocked(spreadsheet) {
+  return runWithScriptLockIfFree(() => rebuildArchiveIndex(spreadsheet), () => {
+    Logger.log('Another run holds the script lock; reading the archive sheets without rewriting the archive index.');
+    return buildArchiveIndexFromEntries(scanArchiveSheets(spreadsheet));
+  });
+}
+
+/**
+ * Loads the archive index, building it first if it does not exist yet (see
+ * rebuildArchiveIndexIfUnlocked).
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The school's spreadsheet.
+ * @returns {Object.<string, Array<{sheetName: string, firstRow: number, rowCount: number}>>} The
+ * index, as returned by loadArchiveIndex.
+ */
+function loadOrRebuildArchiveIndex(spreadsheet) {
+  return loadArchiveIndex(spreadsheet) || rebuildArchiveIndexIfUnlocked(spreadsheet);
+}
+
+/**
+ * Reads the rows the index lists for a date, checking that every row still holds the date.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The school's spreadsheet.
+ * @param {Array<{sheetName: string, firstRow: number, rowCount: number}>} entries The date's index entries.
+ * @param {string} dateString The date ('YYYY-MM-DD').
+ * @returns {{blocks: Array<{headers: Array<string>, values: Array<Array<*>>, formulas: Array<Array<string>>}>,
+ *   stale: boolean}} Each block's header row, values and formulas, and whether the index no
+ * longer matches the sheets.
+ */
+function readIndexedArchiveRows(spreadsheet, entries, dateString) {
+  const blocks = [];
+  for (const entry of entries) {
+    const sheet = spreadsheet.getSheetByName(entry.sheetName);
+    if (!sheet || entry.firstRow < 2 || entry.firstRow + entry.rowCount - 1 > sheet.getLastRow()) {
+      return { blocks: [], stale: true };
+    }
+    const width = sheet.getLastColumn();
+    const range = sheet.getRange(entry.firstRow, 1, entry.rowCount, width);
+    const values = range.getValues();
+    if (values.some(row => normalizeDateToString(row[0], spreadsheet.getSpreadsheetTimeZone()) !== dateString)) {
+      return { blocks: [], stale: true };
+    }
+    blocks.push({
+      headers: trimHeaderRow(sheet.getRange(1, 1, 1, width).getValues()[0]),
+      values: values,
+      formulas: range.getFormulas()
+    });
+  }
+  return { blocks: blocks, stale: false };
+}
+
+/**
+ * Reads an archived date's rows through the archive index, rebuilding the index first if it
+ * does not exist and once more if it no longer matches the archive sheets.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The school's spreadsheet.
+ * @param {string} dateString The date ('YYYY-MM-DD').
+ * @returns {Array<{headers: Array<string>, values: Array<Array<*>>, formulas: Array<Array<string>>}>}
+ * The blocks of rows holding the date (normally one), each with its sheet's header row.
+ */
+function readArchivedRowsForDate(spreadsheet, dateString) {
+  let index = loadOrRebuildArchiveIndex(spreadsheet);
+  let result = readIndexedArchiveRows(spreadsheet, index[dateString] || [], dateString);
+  if (result.stale) {
+    Logger.log(`The archive index no longer matches the archive sheets for ${dateString}; rebuilding it.`);
+    index = rebuildArchiveIndexIfUnlocked(spreadsheet);
+    result = readIndexedArchiveRows(spreadsheet, index[dateString] || [], dateString);
+  }
+  return result.blocks;
+}
+
+/**
+ * Checks whether a date has been archived, according to the archive index.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The school's spreadsheet.
+ * @param {string} dateString The date ('YYYY-MM-DD').
+ * @returns {boolean} True if the index lists rows for the date.
+ */
+function isDateArchived(spreadsheet, dateString) {
+  return loadOrRebuildArchiveIndex(spreadsheet).hasOwnProperty(dateString);
+}
+
+/**
+ * Rebuilds the archive index of the spreadsheet. Designed to be run from the menu.
+ * @returns {string} A summary of the result.
+ */
+function rebuildArchiveIndexFromMenu() {
+  const locked = runWithScriptLock('Archive index rebuild', 'menu', CONSTANTS.LOCK_WAIT_MS.manual,
+    () => rebuildArchiveIndex(SpreadsheetApp.openById(getSetting('SPREADSHEET_ID'))));
+  if (locked.skipped) return 'The archive index was not rebuilt because another extraction or archive is in progress.';
+
+  const dates = Object.keys(locked.result).sort();
+  const message = dates.length === 0 ?
+    'Rebuilt the archive index; no archived days were found.' :
+    `Rebuilt the archive index: ${dates.length} archived days, from ${dates[0]} to ${dates[dates.length - 1]}.`;
+  Logger.log(message);
+  if (isUiAvailable()) {
+    SpreadsheetApp.getUi().alert(message);
+  }
+  return message;
+}
@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Repair of the archive sheets.
+ * Older archives hold their dates in column A in several forms: Date values (where Sheets
+ * converted the written text), "M/d/yyyy" strings and 'YYYY-MM-DD' strings. Some days were also
+ * archived more than once. The repair reads every archive sheet and:
+ * - rewrites each date as 'YYYY-MM-DD' text in a plain-text column, so Sheets no longer converts it;
+ * - merges the rows of a day archived more than once, keeping the last row of each class
+ *   (Presentation ID and Class Name, or Teacher Last Name and Class Name for rows archived
+ *   without a presentation ID);
+ * - groups each day's rows together, in date order.
+ * Rows whose date cannot be read are kept, after the dated rows, and reported. Each change is
+ * listed on the Archive Repair Report sheet, which is replaced on every run. "Preview Archive
+ * Repair" writes the report without changing the archive.
+ */
+
+/**
+ * Column headers of the archive repair report sheet.
+ * @type {Array<string>}
+ */
+const ARCHIVE_REPAIR_HEADERS = ['Sheet', 'Row', 'Date', 'Change', 'Status'];
+
+/**
+ * The archive columns that identify a class within a day, for merging duplicate days, besides
+ * the Class Name. Teachers can share a last name and a class name, so the Presentation ID is
+ * used where the row has one and the Teacher Last Name only for rows archived without it.
+ * @type {Array<string>}
+ */
+const ARCHIVE_REPAIR_KEY_HEADERS = ['Presentation ID', 'Teacher Last Name'];
+
+/**
+ * Shows what the archive repair would change, on the report sheet, without changing the
+ * archive. Designed to be run from the menu.
+ * @returns {string} A summary of the result.
+ */
+function previewArchiveRepair() {
+  const message = runArchiveRepair(false, 'menu');
+  if (isUiAvailable()) {
+    SpreadsheetApp.getUi().alert(message);
+  }
+  return message;
+}
+
+/**
+ * Repairs the archive's dates and duplicate days, after confirmation when run from the menu.
+ * Waits briefly for any extraction or archive run to finish (see Locking.js), since both
+ * write the archive sheets.
+ * @returns {string} A summary of the result.
+ */
+function repairArchiveDatesAndDuplicates() {
+  if (isUiAvailable()) {
+    const ui = SpreadsheetApp.getUi();
+    const response = ui.alert('Repair Archive',
+      'Rewrite the archive sheets with canonical dates and merged duplicate days? Run "Preview Archive Repair" first to see the changes.',
+      ui.ButtonSet.YES_NO);
+    if (response !== ui.Button.YES) return 'The archive was not changed.';
+  }
+
+  const locked = runWithScriptLock('Archive repair', 'menu', CONSTANTS.LOCK_WAIT_MS.manual, () => runArchiveRepair(true, 'menu'));
+  if (locked.skipped) return 'Archive repair did not run because another extraction or archive is in progress.';
+
+  // Alert only after the lock is released, so an open dialog does not hold up other runs
+  if (isUiAvailable()) {
+    SpreadsheetApp.getUi().alert(locked.result);
+  }
+  return locked.result;
+}
+
+/**
+ * Runs the archive repair over every archive sheet and writes the report. When applying, the
+ * caller must hold the script lock, and shows the summary once it has released it.
+ * @param {boolean} apply True to rewrite the archive sheets; false to only report.
+ * @param {string} source What started the repair, for the run history.
+ * @returns {string} A summary of the result.
+ */
+function runArchiveRepair(apply, source) {
+  const run = startRunRecord(apply ? 'Archive repair' : 'Archive repair preview', source);
+  let message;
+
+  try {
+    const spreadsheet = SpreadsheetApp.openById(getSetting('SPREADSHEET_ID'));
+    const timeZone = spreadsheet.getSpreadsheetTimeZone();
+    const changes = [];
+
+    getArchiveSheets(spreadsheet).forEach(sheet => {
+      const plan = planArchiveSheetRepair(sheet, timeZone);
+      plan.changes.forEach(change => changes.push(change));
+      countInRunRecord(run, 'dates rewritten', plan.datesRewritten);
+      countInRunRecord(run, 'duplicate rows merged', plan.duplicatesMerged);
+      countInRunRecord(run, 'unreadable dates', plan.unreadable);
+      if (!plan.rows) return;
+
+      countInRunRecord(run, 'sheets rewritten');
+      if (apply) {
+        sheet.getRange('A:A').setNumberFormat('@');
+        publishAgendaRows(sheet, plan.rows);
+        Logger.log(`Repaired archive sheet ${sheet.getName()}: ${plan.changes.length} changes.`);
+      }
+    });
+
+    if (apply && run.counts['sheets rewritten']) {
+      rebuildArchiveIndex(spreadsheet);
+    }
+    writeArchiveRepairReport(spreadsheet, changes, apply ? 'Applied' : 'Previewed');
+
+    const counts = run.counts;
+    const summary = `${counts['dates rewritten']} dates rewritten, ${counts['duplicate rows merged']} duplicate rows merged, ` +
+      `${counts['unreadable dates']} unreadable dates, across ${counts['sheets rewritten'] || 0} sheets.`;
+    if (changes.length === 0) {
+      message = 'The archive needs no repair: every date is canonical and no day is duplicated.';
+    } else if (apply) {
+      message = `Repaired the archive: ${summary} Every change is listed on the '${CONSTANTS.ARCHIVE_REPAIR_SHEET_NAME}' sheet.`;
+    } else {
+      message = `The archive repair would make ${changes.length} changes: ${summary} ` +
+        `They are listed on the '${CONSTANTS.ARCHIVE_REPAIR_SHEET_NAME}' sheet; nothing was changed yet.`;
+    }
+    finishRunRecord(run);
+
+  } catch (e) {
+    Logger.log(`Error in archive repair: ${e.message}`);
+    finishRunRecord(run, 'Failed', e.message);
+    message = `Archive repair failed: ${e.message}`;
+  }
+
+  Logger.log(message);
+  return message;
+}
+
+/**
+ * Works out the repaired contents of one archive sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The archive sheet.
+ * @param {string} timeZone The spreadsheet's time zone, to read Date values in.
+ * @returns {{rows: Array<Array<*>>|null, changes: Array<Array<*>>, datesRewritten: number,
+ *   duplicatesMerged: number, unreadable: number}} The new contents including the header row
+ * (formulas kept), or null if the sheet needs no rewrite; the report rows; and the counts.
+ */
+function planArchiveSheetRepair(sheet, timeZone) {
+  const plan = { rows: null, changes: [], datesRewritten: 0, duplicatesMerged: 0, unreadable: 0 };
+  if (sheet.getLastRow() < 2) return plan;
+
+  const sheetName = sheet.getName();
+  const range = sheet.getDataRange();
+  const values = range.getValues();
+  const formulas = range.getFormulas();
+  const headers = trimHeaderRow(values[0]);
+  const hasKey = headers.indexOf('Class Name') > 0 && ARCHIVE_REPAIR_KEY_HEADERS.some(header => headers.indexOf(header) > 0);
+  const sheetMonth = (sheetName.match(/_(\d{4})_(\d{2})$/) || []).slice(1).join('-');
+  const report = (row, date, change) => plan.changes.push([sheetName, row, date || '', change]);
+
+  const rowsByDate = {};
+  const undated = [];
+  const lastRowOfDate = {};
+  let rowsMoved = false;
+
+  for (let i = 1; i < values.length; i++) {
+    const rowNumber = i + 1;
+    if (values[i].every(value => value === '')) {
+      rowsMoved = true;
+      continue;
+    }
+    const raw = values[i][0];
+    const date = normalizeDateToString(raw, timeZone);
+    const cells = values[i].map((value, j) => toSheetCell(value, formulas[i][j]));
+
+    if (!date) {
+      plan.unreadable++;
+      report(rowNumber, '', `Unreadable date ${describeArchiveDateCell(raw, timeZone)}; the row was kept after the dated rows.`);
+      undated.push(cells);
+      continue;
+    }
+    if (raw !== date) {
+      plan.datesRewritten++;
+      report(rowNumber, date, `Date ${describeArchiveDateCell(raw, timeZone)} rewritten as '${date}'.`);
+    }
+    if (sheetMonth && date.substring(0, 7) !== sheetMonth) {
+      report(rowNumber, date, `The date belongs to another month's archive sheet; the row was left on this sheet.`);
+    }
+    cells[0] = date;
+
+    if (!rowsByDate[date]) {
+      rowsByDate[date] = new Map();
+    } else if (lastRowOfDate[date] !== i - 1) {
+      rowsMoved = true;
+    }
+    lastRowOfDate[date] = i;
+
+    const key = hasKey ? getArchiveRepairRowKey(headers, values[i]) : JSON.stringify(cells.slice(1));
+    const dayRows = rowsByDate[date];
+    if (dayRows.has(key)) {
+      plan.duplicatesMerged++;
+      report(dayRows.get(key).rowNumber, date,
+        `Duplicate of row ${rowNumber}${hasKey ? ` (${key})` : ''}; removed, keeping the later row.`);
+      dayRows.delete(key);
+    }
+    dayRows.set(key, { rowNumber: rowNumber, cells: cells });
+  }
+
+  const dates = Object.keys(rowsByDate).sort();
+  if (!rowsMoved && dates.some((date, k) => k > 0 && lastRowOfDate[dates[k - 1]] > lastRowOfDate[date])) {
+    rowsMoved = true;
+  }
+  if (rowsMoved) {
+    plan.changes.push([sheetName, '', '', 'Rows regrouped by date, in date order.']);
+  }
+  if (plan.changes.length === 0) return plan;
+
+  const rows = [values[0]];
+  dates.forEach(date => rowsByDate[date].forEach(entry => rows.push(entry.cells)));
+  undated.forEach(cells => rows.push(cells));
+  plan.rows = rows;
+  return plan;
+}
+
+/**
+ * Builds the key that identifies an archive row's class within its day: the first of
+ * ARCHIVE_REPAIR_KEY_HEADERS the row has a value for, and its normalized Class Name.
+ * @param {Array<string>} headers The sheet's header row.
+ * @param {Array<*>} row The row's values.
+ * @returns {string} The key (e.g., "Presentation ID: 1AbC… | algebrai").
+ */
+function getArchiveRepairRowKey(headers, row) {
+  const value = (header) => headers.indexOf(header) > 0 ? String(row[headers.indexOf(header)]).trim() : '';
+  const header = ARCHIVE_REPAIR_KEY_HEADERS.find(candidate => value(candidate)) || ARCHIVE_REPAIR_KEY_HEADERS[0];
+  return `${header}: ${value(header)} | ${normalizeTagPart(value('Class Name'))}`;
+}
+
+/**
+ * Describes a date cell as found, for the repair report.
+ * @param {*} value The cell's value.
+ * @param {string} timeZone The spreadsheet's time zone.
+ * @returns {string} The description (e.g., "'9/1/2025' (text)").
+ */
+function describeArchiveDateCell(value, timeZone) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? 'an invalid date value' :
+      `${Utilities.formatDate(value, timeZone, 'yyyy-MM-dd HH:mm')} (a date value)`;
+  }
+  if (value === '') return '(blank)';
+  return `'${value}' (${typeof value === 'number' ? 'a number' : 'text'})`;
+}
+
+/**
+ * Replaces the archive repair report sheet's contents with the given changes.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The school's spreadsheet.
+ * @param {Array<Array<*>>} changes The changes: sheet, row, date and change.
+ * @param {string} status 'Applied' or 'Previewed'.
+ */
+function writeArchiveRepairReport(spreadsheet, changes, status) {
+  const SHEET_NAME = CONSTANTS.ARCHIVE_REPAIR_SHEET_NAME;
+  let sheet = spreadsheet.getSheetByName(SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(SHEET_NAME);
+    sheet.getRange('C:C').setNumberFormat('@');
+    sheet.getRange(1, 1, 1, ARCHIVE_REPAIR_HEADERS.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    Logger.log(`Created archive repair report sheet: ${SHEET_NAME}`);
+  }
+
+  const rows = changes.length === 0 ?
+    [['', '', '', 'No changes needed.', status]] :
+    changes.map(change => change.concat([status]));
+  sheet.clearContents();
+  writeRowsInBatch(sheet, 1, [ARCHIVE_REPAIR_HEADERS].concat(rows));
+}
@@ -0,0 +1,323 @@
+/**
+ * @fileoverview Yearly rollover of the archive into separate spreadsheets.
+ * The monthly Archive_ sheets of a finished school year (see the SCHOOL_YEAR_START_MONTH
+ * setting) are moved into an archive spreadsheet of their own, named after the school and the
+ * year, so the live spreadsheet keeps only the current year's archive. The Archive Catalog sheet
+ * of the live spreadsheet registers each archive spreadsheet: A School Year (e.g., '2024-2025'),
+ * B Spreadsheet ID, C First Date, D Last Date, E Sheets and F Rolled Over. A new archive
+ * spreadsheet is registered as soon as it is created, with 'In progress' in Rolled Over until
+ * its sheets are moved, so a rollover that stops part way reuses it when run again.
+ *
+ * Each archive spreadsheet has its own archive index (see ArchiveIndex.js). Looking up an
+ * archived day reads the live archive first and then the spreadsheet of the day's school year,
+ * so the web app finds rolled-over days as before.
+ */
+
+/**
+ * Column headers of the archive catalog sheet.
+ * @type {Array<string>}
+ */
+const ARCHIVE_CATALOG_HEADERS = ['School Year', 'Spreadsheet ID', 'First Date', 'Last Date', 'Sheets', 'Rolled Over'];
+
+/**
+ * The Rolled Over value of a catalog row whose rollover has not finished.
+ * @type {string}
+ */
+const ARCHIVE_CATALOG_IN_PROGRESS = 'In progress';
+
+/**
+ * Gets the school year a date belongs to.
+ * @param {string} dateString The date ('YYYY-MM-DD'); only the year and month are used.
+ * @returns {string} The school year, as 'YYYY-YYYY' (or 'YYYY' when school years start in January).
+ */
+function getSchoolYearLabel(dateString) {
+  const startMonth = getSetting('SCHOOL_YEAR_START_MONTH');
+  const year = Number(dateString.substring(0, 4));
+  const month = Number(dateString.substring(5, 7));
+  const startYear = month >= startMonth ? year : year - 1;
+  return startMonth === 1 ? String(startYear) : `${startYear}-${startYear + 1}`;
+}
+
+/**
+ * Gets the first day of the school year a date belongs to.
+ * @param {string} dateString The date ('YYYY-MM-DD').
+ * @returns {string} The first day of its school year ('YYYY-MM-01').
+ */
+function getSchoolYearStartDate(dateString) {
+  const startMonth = String(getSetting('SCHOOL_YEAR_START_MONTH')).padStart(2, '0');
+  return `${getSchoolYearLabel(dateString).substring(0, 4)}-${startMonth}-01`;
+}
+
+/**
+ * Loads the archive catalog. School years whose rollover has not finished still have their
+ * live archive sheets, so they are left out unless asked for.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The school's live spreadsheet.
+ * @param {boolean} [includeInProgress] If true, unfinished rollovers are included too.
+ * @returns {Array<{schoolYear: string, spreadsheetId: string, firstDate: string, lastDate: string,
+ *   sheets: Array<string>, inProgress: boolean, row: number}>} The rolled-over school years,
+ * oldest first; empty if nothing has been rolled over.
+ */
+function loadArchiveCatalog(spreadsheet, includeInProgress) {
+  const sheet = spreadsheet.getSheetByName(CONSTANTS.ARCHIVE_CATALOG_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const timeZone = spreadsheet.getSpreadsheetTimeZone();
+  const entries = [];
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, ARCHIVE_CATALOG_HEADERS.length).getValues().forEach((row, index) => {
+    const spreadsheetId = extractPresentationId(row[1]);
+    const inProgress = String(row[5]).trim() === ARCHIVE_CATALOG_IN_PROGRESS;
+    if (!row[0] || !isWellFormedPresentationId(spreadsheetId) || (inProgress && !includeInProgress)) return;
+    entries.push({
+      schoolYear: String(row[0]).trim(),
+      spreadsheetId: spreadsheetId,
+      firstDate: normalizeDateToString(row[2], timeZone) || '',
+      lastDate: normalizeDateToString(row[3], timeZone) || '',
+      sheets: String(row[4]).split(',').map(name => name.trim()).filter(name => name),
+      inProgress: inProgress,
+      row: index + 2
+    });
+  });
+  return entries.sort((a, b) => a.schoolYear.localeCompare(b.schoolYear));
+}
+
+/**
+ * Gets the archive catalog sheet, creating it if needed.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The school's live spreadsheet.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The catalog sheet.
+ */
+function getOrCreateArchiveCatalogSheet(spreadsheet) {
+  const SHEET_NAME = CONSTANTS.ARCHIVE_CATALOG_SHEET_NAME;
+  let sheet = spreadsheet.getSheetByName(SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(SHEET_NAME);
+    // Keep the school years, IDs and dates as typed text rather than letting the sheet convert them
+    sheet.getRange('A:D').setNumberFormat('@');
+    writeRowsInBatch(sheet, 1, [ARCHIVE_CATALOG_HEADERS]);
+    sheet.getRange(1, 1, 1, ARCHIVE_CATALOG_HEADERS.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    Logger.log(`Created archive catalog sheet: ${SHEET_NAME}`);
+  }
+  return sheet;
+}
+
+/**
+ * Reads an archived date's rows from the live archive or, if it has none, from the archive
+ * spreadsheet of the date's school year.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The school's live spreadsheet.
+ * @param {string} dateString The date ('YYYY-MM-DD').
+ * @returns {Array<{headers: Array<string>, values: Array<Array<*>>, formulas: Array<Array<string>>}>}
+ * The blocks of rows holding the date, as returned by readArchivedRowsForDate.
+ */
+function readArchivedRowsAcrossArchives(spreadsheet, dateString) {
+  const blocks = readArchivedRowsForDate(spreadsheet, dateString);
+  if (blocks.length > 0) return blocks;
+
+  const schoolYear = getSchoolYearLabel(dateString);
+  const entry = loadArchiveCatalog(spreadsheet).find(candidate => candidate.schoolYear === schoolYear);
+  if (!entry) return [];
+  Logger.log(`Reading ${dateString} from the ${schoolYear} archive spreadsheet.`);
+  return readArchivedRowsForDate(SpreadsheetApp.openById(entry.spreadsheetId), dateString);
+}
+
+/**
+ * Lists the archived dates of the live archive and of every rolled-over school year.
+ * An archive spreadsheet that cannot be opened is logged and skipped.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The school's live spreadsheet.
+ * @returns {Array<string>} The dates ('YYYY-MM-DD'), sorted.
+ */
+function listArchivedDatesAcrossArchives(spreadsheet) {
+  const dates = new Set(Object.keys(loadOrRebuildArchiveIndex(spreadsheet)));
+  loadArchiveCatalog(spreadsheet).forEach(entry => {
+    try {
+      const archive = SpreadsheetApp.openById(entry.spreadsheetId);
+      Object.keys(loadOrRebuildArchiveIndex(archive)).forEach(date => dates.add(date));
+    } catch (e) {
+      Logger.log(`Could not read the ${entry.schoolYear} archive spreadsheet: ${e.message}`);
+    }
+  });
+  return Array.from(dates).sort();
+}
+
+/**
+ * Groups the live archive sheets of finished school years by school year. Sheets not named
+ * Archive_YYYY_MM are left alone.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The school's live spreadsheet.
+ * @returns {Object.<string, Array<GoogleAppsScript.Spreadsheet.Sheet>>} The sheets of each
+ * finished school year, in month order.
+ */
+function getFinishedYearArchiveSheets(spreadsheet) {
+  const currentYear = getSchoolYearLabel(normalizeDateToString(new Date()));
+  const pattern = new RegExp(`^${CONSTANTS.ARCHIVE_SHEET_PREFIX}(\\d{4})_(\\d{2})$`);
+  const byYear = {};
+  getArchiveSheets(spreadsheet)
+    .filter(sheet => pattern.test(sheet.getName()))
+    .sort((a, b) => a.getName().localeCompare(b.getName()))
+    .forEach(sheet => {
+      const match = sheet.getName().match(pattern);
+      const schoolYear = getSchoolYearLabel(`${match[1]}-${match[2]}-01`);
+      if (schoolYear.localeCompare(currentYear) >= 0) return;
+      byYear[schoolYear] = byYear[schoolYear] || [];
+      byYear[schoolYear].push(sheet);
+    });
+  return byYear;
+}
+
+/**
+ * Appends a live archive sheet's rows to the sheet of the same month in an archive spreadsheet,
+ * for a month archived again after its year was rolled over. Rows are aligned to the archived
+ * sheet's header and formulas are kept.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The live archive sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} archivedSheet The month's sheet in the archive spreadsheet.
+ * @returns {number} The number of rows appended.
+ */
+function appendToRolledOverSheet(sheet, archivedSheet) {
+  if (sheet.getLastRow() < 2) return 0;
+  const range = sheet.getDataRange();
+  const values = range.getValues();
+  const formulas = range.getFormulas();
+  const headers = trimHeaderRow(values[0]);
+  const archivedHeaders = ensureArchiveHeaders(archivedSheet, headers);
+
+  const rows = values.slice(1).map((row, i) => archivedHeaders.map(header => {
+    const j = headers.indexOf(header);
+    if (j === -1) return '';
+    return toSheetCell(row[j], formulas[i + 1][j]);
+  }));
+  return writeRowsInBatch(archivedSheet, archivedSheet.getLastRow() + 1, rows);
+}
+
+/**
+ * Moves one finished school year's archive sheets into its archive spreadsheet, creating the
+ * spreadsheet the first time, and registers it in the catalog. Each sheet is copied and
+ * checked before any live sheet is deleted, so a failure leaves the live archive whole; the new
+ * spreadsheet is registered as in progress right away, so running the rollover again reuses it.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The school's live spreadsheet.
+ * @param {string} schoolYear The school year.
+ * @param {Array<GoogleAppsScript.Spreadsheet.Sheet>} sheets The year's live archive sheets.
+ * @returns {{spreadsheetId: string, rows: number}} The archive spreadsheet and the rows moved.
+ */
+function rollOverArchiveYear(spreadsheet, schoolYear, sheets) {
+  const catalogSheet = getOrCreateArchiveCatalogSheet(spreadsheet);
+  let catalogEntry = loadArchiveCatalog(spreadsheet, true).find(entry => entry.schoolYear === schoolYear);
+  let archive;
+  if (catalogEntry) {
+    archive = SpreadsheetApp.openById(catalogEntry.spreadsheetId);
+  } else {
+    archive = SpreadsheetApp.create(`${getSetting('SCHOOL_NAME')} Agenda Archive ${schoolYear}`);
+    archive.setSpreadsheetTimeZone(spreadsheet.getSpreadsheetTimeZone());
+    catalogSheet.appendRow([schoolYear, archive.getId(), '', '', '', ARCHIVE_CATALOG_IN_PROGRESS]);
+    catalogEntry = loadArchiveCatalog(spreadsheet, true).find(entry => entry.schoolYear === schoolYear);
+    Logger.log(`Created archive spreadsheet for ${schoolYear}: ${archive.getId()}`);
+  }
+  // Until the first rollover finishes, everything but the copied archive sheets is a placeholder
+  const placeholders = catalogEntry.inProgress ?
+    archive.getSheets().filter(sheet => !sheet.getName().startsWith(CONSTANTS.ARCHIVE_SHEET_PREFIX)) : [];
+
+  let rows = 0;
+  sheets.forEach(sheet => {
+    const name = sheet.getName();
+    const existing = archive.getSheetByName(name);
+    if (existing && catalogEntry.sheets.indexOf(name) !== -1) {
+      // The month was rolled over before and archived again since; add the new rows to it
+      existing.getRange('A:A').setNumberFormat('@');
+      rows += appendToRolledOverSheet(sheet, existing);
+      return;
+    }
+    // A copy left by an earlier rollover that stopped part way is replaced; the live sheet is the original
+    const copy = sheet.copyTo(archive);
+    if (existing) archive.deleteSheet(existing);
+    copy.setName(name);
+    if (copy.getLastRow() !== sheet.getLastRow() || copy.getLastColumn() !== sheet.getLastColumn()) {
+      throw new Error(`The copy of ${name} does not match the original; nothing was deleted.`);
+    }
+    copy.getRange('A:A').setNumberFormat('@');
+    rows += Math.max(sheet.getLastRow() - 1, 0);
+  });
+  placeholders.forEach(placeholder => archive.deleteSheet(placeholder));
+
+  const dates = Object.keys(rebuildArchiveIndex(archive)).sort();
+  const sheetNames = getArchiveSheets(archive).map(sheet => sheet.getName()).sort();
+  const catalogRow = [
+    schoolYear, archive.getId(), dates[0] || '', dates[dates.length - 1] || '',
+    sheetNames.join(', '), formatTimestamp(new Date())
+  ];
+  catalogSheet.getRange(catalogEntry.row, 1, 1, catalogRow.length).setValues([catalogRow]);
+
+  sheets.forEach(sheet => spreadsheet.deleteSheet(sheet));
+  return { spreadsheetId: archive.getId(), rows: rows };
+}
+
+/**
+ * Rolls every finished school year's archive sheets over into their archive spreadsheets,
+ * after confirmation when run from the menu. Waits briefly for any extraction or archive run
+ * to finish (see Locking.js), since the archive sheets are moved.
+ * @returns {string} A summary of the result.
+ */
+function rollOverFinishedSchoolYears() {
+  if (isUiAvailable()) {
+    const ui = SpreadsheetApp.getUi();
+    const response = ui.alert('Roll Over Archive',
+      'Move the archive sheets of finished school years into a separate archive spreadsheet per year? ' +
+      'Archived days stay available in the web app.',
+      ui.ButtonSet.YES_NO);
+    if (response !== ui.Button.YES) return 'The archive was not changed.';
+  }
+
+  const locked = runWithScriptLock('Archive rollover', 'menu', CONSTANTS.LOCK_WAIT_MS.manual, () => rollOverFinishedSchoolYearsUnlocked('menu'));
+  if (locked.skipped) return 'Archive rollover did not run because another extraction or archive is in progress.';
+
+  // Alert only after the lock is released, so an open dialog does not hold up other runs
+  if (isUiAvailable()) {
+    SpreadsheetApp.getUi().alert(locked.result);
+  }
+  return locked.result;
+}
+
+/**
+ * Rolls every finished school year's archive sheets over. The caller must hold the script lock.
+ * @param {string} source What started the rollover, for the run history.
+ * @returns {string} A summary of the result.
+ */
+function rollOverFinishedSchoolYearsUnlocked(source) {
+  const run = startRunRecord('Archive rollover', source);
+  const lines = [];
+  let message;
+
+  try {
+    const spreadsheet = SpreadsheetApp.openById(getSetting('SPREADSHEET_ID'));
+    const byYear = getFinishedYearArchiveSheets(spreadsheet);
+    const years = Object.keys(byYear).sort();
+
+    years.forEach(schoolYear => {
+      try {
+        const result = rollOverArchiveYear(spreadsheet, schoolYear, byYear[schoolYear]);
+        countInRunRecord(run, 'school years');
+        countInRunRecord(run, 'sheets moved', byYear[schoolYear].length);
+        countInRunRecord(run, 'rows moved', result.rows);
+        lines.push(`${schoolYear}: moved ${byYear[schoolYear].length} sheets (${result.rows} rows) to spreadsheet ${result.spreadsheetId}.`);
+      } catch (e) {
+        Logger.log(`Error rolling over ${schoolYear}: ${e.message}`);
+        addRunError(run, `${schoolYear}: ${e.message}`);
+        lines.push(`${schoolYear}: failed, the live sheets were kept (${e.message}).`);
+      }
+    });
+
+    if (years.length === 0) {
+      message = 'No finished school year has archive sheets left in this spreadsheet.';
+      finishRunRecord(run, 'Nothing to do');
+    } else {
+      rebuildArchiveIndex(spreadsheet);
+      message = `Archive rollover:\n${lines.join('\n')}\n\nThe archive spreadsheets are listed on the ` +
+        `'${CONSTANTS.ARCHIVE_CATALOG_SHEET_NAME}' sheet; share them with the account the web app runs as if it is not yours.`;
+      finishRunRecord(run);
+    }
+
+  } catch (e) {
+    Logger.log(`Error in archive rollover: ${e.message}`);
+    finishRunRecord(run, 'Failed', e.message);
+    message = `Archive rollover failed: ${e.message}`;
+  }
+
+  Logger.log(message);
+  return message;
+}
@@ -0,0 +1,319 @@
+/**
+ * @fileoverview Full-text search of the agendas, for the web app's search panel.
+ * A search reads the archive sheets of the live spreadsheet and of the rolled-over school years
+ * (see ArchiveRollover.js) that overlap the date range, plus today's Current_Day_Agendas rows
+ * while today is not archived yet. Rows are filtered by teacher, class, grade and date range;
+ * keywords ("photosynthesis", or a quoted phrase such as "lab report") must all appear in the
+ * row's class name, teacher or agenda sections. A search without dates covers the current school
+ * year, and one search reads at most CONSTANTS.SEARCH_MAX_ROWS_SCANNED archive rows, newest first.
+ *
+ * Each matching row is scored by how often and where its keywords appear: a keyword in the
+ * class name or teacher counts most, a whole word more than part of a word. Results are sorted
+ * by score, then newest first, and cut to CONSTANTS.SEARCH_MAX_RESULTS.
+ */
+
+/**
+ * The points a keyword scores in each part of a row. Whole-word matches score double.
+ * @type {{title: number, section: number, maxPerSection: number}}
+ */
+const SEARCH_SCORE_WEIGHTS = { title: 5, section: 2, maxPerSection: 3 };
+
+/**
+ * The characters of context kept on each side of the first keyword in a result's snippet.
+ * @type {number}
+ */
+const SEARCH_SNIPPET_CONTEXT = 60;
+
+/**
+ * Searches the agendas of the school being run.
+ * @param {{keywords: (string|undefined), teacher: (string|undefined), className: (string|undefined),
+ *   grade: (string|undefined), startDate: (string|undefined), endDate: (string|undefined)}} criteria
+ * The search: keywords (words or "quoted phrases"), teacher last name and class name (partial,
+ * case-insensitive), grade level (exact) and the first and last date ('YYYY-MM-DD'); at least
+ * one of keywords, teacher, class and grade must be given.
+ * @returns {Object} An object with the ranked matches ('payload'), whether more matched than
+ * were returned ('truncated'), the number of matches ('total'), whether older archive rows were
+ * left unsearched ('scanLimited') and, for a search without dates, the day it searched from
+ * ('searchedFrom'); or an 'error'.
+ */
+function fetchAgendaSearchResults(criteria) {
+  const run = startRunRecord('Web: agenda search', 'web app');
+
+  try {
+    const search = parseSearchCriteria(criteria || {});
+    const spreadsheet = SpreadsheetApp.openById(getSetting('SPREADSHEET_ID'));
+    const matches = [];
+    const scan = { rows: 0, limited: false };
+
+    // Newest first, so the row limit leaves out the oldest archives
+    const liveArchiveDates = searchArchiveSpreadsheet(spreadsheet, search, matches, scan);
+    loadArchiveCatalog(spreadsheet)
+      .filter(entry => isCatalogEntryInRange(entry, search))
+      .reverse()
+      .forEach(entry => {
+        try {
+          searchArchiveSpreadsheet(SpreadsheetApp.openById(entry.spreadsheetId), search, matches, scan);
+        } catch (e) {
+          Logger.log(`Could not search the ${entry.schoolYear} archive spreadsheet: ${e.message}`);
+          addRunError(run, `${entry.schoolYear} archive: ${e.message}`);
+        }
+      });
+    searchCurrentDayAgendas(spreadsheet, search, liveArchiveDates, matches);
+
+    matches.sort((a, b) => b.score - a.score || b.date.localeCompare(a.date) ||
+      a.className.localeCompare(b.className));
+    const results = matches.slice(0, CONSTANTS.SEARCH_MAX_RESULTS);
+
+    Logger.log(`Agenda search for ${JSON.stringify(criteria)}: ${matches.length} matches.`);
+    countInRunRecord(run, 'matches', matches.length);
+    countInRunRecord(run, 'rows scanned', scan.rows);
+    finishRunRecord(run);
+    return {
+      payload: results, truncated: matches.length > results.length, total: matches.length,
+      scanLimited: scan.limited, searchedFrom: search.defaultRange ? search.startDate : undefined
+    };
+
+  } catch (e) {
+    Logger.log(`Error searching agendas: ${e.message}`);
+    finishRunRecord(run, 'Failed', e.message);
+    return { error: `Search failed: ${e.message}` };
+  }
+}
+
+/**
+ * Checks and normalizes the search sent by the web app.
+ * @param {Object} criteria The search, as described for fetchAgendaSearchResults.
+ * @returns {{terms: Array<string>, teacher: string, className: string, grade: string,
+ *   startDate: string, endDate: string, defaultRange: boolean}} The lower-cased keywords and
+ * filters; without either date the range starts at the current school year (defaultRange), and
+ * one blank date leaves that end of the range open.
+ * @throws {Error} If no keyword or filter is given, or a date is malformed.
+ */
+function parseSearchCriteria(criteria) {
+  const text = (value) => String(value == null ? '' : value).trim();
+  const terms = [];
+  const keywordPattern = /"([^"]+)"|(\S+)/g;
+  let match;
+  while ((match = keywordPattern.exec(text(criteria.keywords).toLowerCase())) !== null) {
+    const term = (match[1] || match[2]).trim();
+    if (term && terms.indexOf(term) === -1) terms.push(term);
+  }
+
+  const search = {
+    terms: terms,
+    teacher: text(criteria.teacher).toLowerCase(),
+    className: text(criteria.className).toLowerCase(),
+    grade: text(criteria.grade).toLowerCase(),
+    startDate: text(criteria.startDate),
+    endDate: text(criteria.endDate)
+  };
+  if (!search.terms.length && !search.teacher && !search.className && !search.grade) {
+    throw new Error('Enter a keyword, teacher, class or grade to search for.');
+  }
+  ['startDate', 'endDate'].forEach(key => {
+    if (search[key] && !/^\d{4}-\d{2}-\d{2}$/.test(search[key])) {
+      throw new Error(`Invalid date format. Expected YYYY-MM-DD, got: ${search[key]}`);
+    }
+  });
+  search.defaultRange = !search.startDate && !search.endDate;
+  if (search.defaultRange) {
+    search.startDate = getSchoolYearStartDate(normalizeDateToString(new Date()));
+  }
+  return search;
+}
+
+/**
+ * Checks whether a date is within the search's date range.
+ * @param {string} dateString The date ('YYYY-MM-DD').
+ * @param {Object} search The search from parseSearchCriteria.
+ * @returns {boolean} True if the date is in range.
+ */
+function isDateInSearchRange(dateString, search) {
+  return (!search.startDate || dateString >= search.startDate) && (!search.endDate || dateString <= search.endDate);
+}
+
+/**
+ * Checks whether a rolled-over school year may hold days within the search's date range.
+ * @param {{firstDate: string, lastDate: string}} entry The archive catalog entry.
+ * @param {Object} search The search from parseSearchCriteria.
+ * @returns {boolean} True if the year's archive should be searched.
+ */
+function isCatalogEntryInRange(entry, search) {
+  return !(search.endDate && entry.firstDate && entry.firstDate > search.endDate) &&
+    !(search.startDate && entry.lastDate && entry.lastDate < search.startDate);
+}
+
+/**
+ * Searches the archive sheets of one spreadsheet, newest month first, skipping the monthly sheets
+ * outside the date range without reading them. Stops reading once the search has read
+ * CONSTANTS.SEARCH_MAX_ROWS_SCANNED rows; of a sheet read in part, its last (newest) rows are read.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The live or an archive spreadsheet.
+ * @param {Object} search The search from parseSearchCriteria.
+ * @param {Array<Object>} matches The matches so far; this spreadsheet's matches are added.
+ * @param {{rows: number, limited: boolean}} scan The rows read so far by the search, and whether
+ * the limit left rows unread; both are updated.
+ * @returns {Set<string>} The archived dates the spreadsheet's sheets hold within the range.
+ */
+function searchArchiveSpreadsheet(spreadsheet, search, matches, scan) {
+  const timeZone = spreadsheet.getSpreadsheetTimeZone();
+  const pattern = new RegExp(`^${CONSTANTS.ARCHIVE_SHEET_PREFIX}(\\d{4})_(\\d{2})$`);
+  const dates = new Set();
+
+  const sheets = getArchiveSheets(spreadsheet).sort((a, b) => b.getName().localeCompare(a.getName()));
+  for (const sheet of sheets) {
+    const month = sheet.getName().match(pattern);
+    if (month) {
+      const monthStart = `${month[1]}-${month[2]}-01`;
+      const monthEnd = `${month[1]}-${month[2]}-31`;
+      if ((search.endDate && monthStart > search.endDate) || (search.startDate && monthEnd < search.startDate)) continue;
+    }
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) continue;
+
+    const rowCount = Math.min(lastRow - 1, CONSTANTS.SEARCH_MAX_ROWS_SCANNED - scan.rows);
+    if (rowCount < lastRow - 1) scan.limited = true;
+    if (rowCount <= 0) break;
+    scan.rows += rowCount;
+
+    const lastColumn = sheet.getLastColumn();
+    const headers = trimHeaderRow(sheet.getRange(1, 1, 1, lastColumn).getValues()[0]);
+    const values = sheet.getRange(lastRow - rowCount + 1, 1, rowCount, lastColumn).getValues();
+    for (let i = 0; i < values.length; i++) {
+      const date = normalizeDateToString(values[i][0], timeZone);
+      if (!date || !isDateInSearchRange(date, search)) continue;
+      dates.add(date);
+      const match = matchAgendaRow(headers, values[i], date, search);
+      if (match) matches.push(match);
+    }
+  }
+  return dates;
+}
+
+/**
+ * Searches today's Current_Day_Agendas rows, unless today is a no-school day, is outside the
+ * date range or has already been archived (its archived rows were searched instead). Only rows
+ * whose 'Day of Week' is today's weekday are searched, as SelectiveRefresh checks, so rows the
+ * sheet still holds from an earlier day are never shown as today's.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The live spreadsheet.
+ * @param {Object} search The search from parseSearchCriteria.
+ * @param {Set<string>} archivedDates The dates found in the live archive.
+ * @param {Array<Object>} matches The matches so far; today's matches are added, marked 'today'.
+ */
+function searchCurrentDayAgendas(spreadsheet, search, archivedDates, matches) {
+  const today = normalizeDateToString(new Date());
+  if (!isDateInSearchRange(today, search) || archivedDates.has(today)) return;
+  const calendarDay = getCalendarDay(loadSchoolCalendar(spreadsheet), today);
+  if (calendarDay && calendarDay.noSchool) return;
+
+  const dataSheet = spreadsheet.getSheetByName(getSetting('DATA_SHEET_NAME'));
+  if (!dataSheet || dataSheet.getLastRow() < 2) return;
+
+  const values = dataSheet.getDataRange().getValues();
+  const headers = trimHeaderRow(values[0]);
+  const dayColumn = headers.indexOf('Day of Week');
+  if (dayColumn === -1) return;
+  const dayOfWeek = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'EEEE');
+
+  for (let i = 1; i < values.length; i++) {
+    if (String(values[i][dayColumn]).trim() !== dayOfWeek) continue;
+    const match = matchAgendaRow(headers, values[i], today, search);
+    if (match) {
+      match.today = true;
+      matches.push(match);
+    }
+  }
+}
+
+/**
+ * Matches one agenda row against the search and scores it.
+ * @param {Array<string>} headers The sheet's header row.
+ * @param {Array<*>} row The row's values.
+ * @param {string} dateString The row's date ('YYYY-MM-DD').
+ * @param {Object} search The search from parseSearchCriteria.
+ * @returns {{date: string, teacherLastName: string, className: string, gradeLevel: string,
+ *   score: number, snippets: Array<{section: string, text: string}>}|null} The match, with a
+ * snippet of each section a keyword appears in, or null if the row does not match.
+ */
+function matchAgendaRow(headers, row, dateString, search) {
+  const cell = (header) => {
+    const j = headers.indexOf(header);
+    return j === -1 ? '' : formatCellForWeb(header, row[j]).trim();
+  };
+  const teacherLastName = cell('Teacher Last Name');
+  const className = cell('Class Name');
+  const gradeLevel = cell('Grade Level');
+  if (!teacherLastName && !className) return null;
+
+  if (search.teacher && teacherLastName.toLowerCase().indexOf(search.teacher) === -1) return null;
+  if (search.className && className.toLowerCase().indexOf(search.className) === -1) return null;
+  if (search.grade && gradeLevel.toLowerCase() !== search.grade) return null;
+
+  const title = `${className} ${teacherLastName}`.toLowerCase();
+  const sections = getSectionColumns(headers)
+    .map(column => ({ section: column.label, text: cell(column.label) }))
+    .filter(section => section.text && section.text !== 'N/A');
+
+  let score = 0;
+  const snippets = [];
+  for (const term of search.terms) {
+    const titleScore = countSearchTerm(title, term, SEARCH_SCORE_WEIGHTS.title, 1);
+    let sectionScore = 0;
+    sections.forEach(section => {
+      const points = countSearchTerm(section.text.toLowerCase(), term, SEARCH_SCORE_WEIGHTS.section, SEARCH_SCORE_WEIGHTS.maxPerSection);
+      if (points === 0) return;
+      sectionScore += points;
+      if (!snippets.some(snippet => snippet.section === section.section)) {
+        snippets.push({ section: section.section, text: buildSearchSnippet(section.text, term) });
+      }
+    });
+    if (titleScore + sectionScore === 0) return null;
+    score += titleScore + sectionScore;
+  }
+
+  return {
+    date: dateString,
+    teacherLastName: teacherLastName,
+    className: className,
+    gradeLevel: gradeLevel,
+    score: score,
+    snippets: snippets
+  };
+}
+
+/**
+ * Scores the occurrences of a keyword in a text.
+ * @param {string} text The lower-cased text.
+ * @param {string} term The lower-cased keyword or phrase.
+ * @param {number} weight The points of one occurrence within a word; a whole-word occurrence
+ * scores double.
+ * @param {number} maxOccurrences The most occurrences counted.
+ * @returns {number} The points scored, 0 if the keyword does not appear.
+ */
+function countSearchTerm(text, term, weight, maxOccurrences) {
+  let points = 0;
+  let count = 0;
+  let index = text.indexOf(term);
+  while (index !== -1 && count < maxOccurrences) {
+    const before = index === 0 ? '' : text.charAt(index - 1);
+    const after = text.charAt(index + term.length);
+    const wholeWord = !/[\p{L}\p{N}]/u.test(before) && !/[\p{L}\p{N}]/u.test(after);
+    points += wholeWord ? weight * 2 : weight;
+    count++;
+    index = text.indexOf(term, index + term.length);
+  }
+  return points;
+}
+
+/**
+ * Cuts the part of a section's text around the first occurrence of a keyword.
+ * @param {string} text The section's text.
+ * @param {string} term The lower-cased keyword.
+ * @returns {string} The snippet, with '…' where the text was cut.
+ */
+function buildSearchSnippet(text, term) {
+  const flat = text.replace(/\s+/g, ' ');
+  const index = Math.max(flat.toLowerCase().indexOf(term), 0);
+  const start = Math.max(index - SEARCH_SNIPPET_CONTEXT, 0);
+  const end = Math.min(index + term.length + SEARCH_SNIPPET_CONTEXT, flat.length);
+  return (start > 0 ? '…' : '') + flat.substring(start, end).trim() + (end < flat.length ? '…' : '');
+}
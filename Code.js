@@ -9,10 +9,36 @@
  * Wrapper function designed to be called by a timed trigger.
  * It calls the main extraction function without passing any arguments,
  * which prevents the trigger's event object from causing errors.
+ * Every registered school gets a run (see Schools.js). All runs are queued before any is
+ * processed, so a long first school cannot use up the execution before the others are queued;
+ * the first is then processed now and the others by the continuation trigger, so one execution
+ * never does two schools' work.
  */
 function runDailyExtractionTrigger() {
   Logger.log('Hourly extraction trigger initiated.');
-  extractTextForCurrentDayAgenda();
+  if (!isWithinSchoolHours(new Date())) {
+    Logger.log('Outside school hours (see the TRIGGER_SCHEDULE setting); skipping the hourly extraction.');
+    return;
+  }
+  let queuedRuns = 0;
+  forEachSchool('Hourly extraction', school => {
+    const noSchoolDay = getNoSchoolDayForToday();
+    if (noSchoolDay) {
+      Logger.log(`No school today at '${school.id}' (${noSchoolDay.type}); skipping the hourly extraction.`);
+      return;
+    }
+    runWithScriptLock('Daily extraction', 'hourly trigger', CONSTANTS.LOCK_WAIT_MS.hourlyTrigger, () => {
+      if (isExtractionRunInProgress()) {
+        Logger.log(`An extraction run is still in progress at '${school.id}'; leaving it to its continuation trigger.`);
+        return;
+      }
+      if (startExtractionRun(undefined, false, 'hourly trigger', true).started) queuedRuns++;
+    });
+  });
+
+  if (queuedRuns > 0) {
+    resumeExtractionTrigger();
+  }
 }
 
 /**
@@ -22,14 +48,24 @@ function runDailyExtractionTrigger() {
  */
 function runDailyArchiveTrigger() {
   Logger.log('Daily archive trigger initiated.');
-  archiveCurrentDayDataOnly();
+  forEachSchool('Daily archive', school => {
+    const noSchoolDay = getNoSchoolDayForToday();
+    if (noSchoolDay) {
+      Logger.log(`No school today at '${school.id}' (${noSchoolDay.type}); nothing to archive.`);
+      return;
+    }
+    runWithScriptLock('Daily archive', 'nightly trigger', CONSTANTS.LOCK_WAIT_MS.archive,
+      () => archiveCurrentDayDataUnlocked('nightly trigger'));
+  });
 }
 
 /**
  * Checks if the script is running in a context where it can access the user interface.
+ * Actions run from the admin sidebar report back to the sidebar, so they count as having no UI.
  * @returns {boolean} True if the UI is available, false otherwise.
  */
 function isUiAvailable() {
+  if (sidebarActionInProgress) return false;
   try {
     SpreadsheetApp.getUi();
     return true;
@@ -38,6 +74,76 @@ function isUiAvailable() {
   }
 }
 
+/**
+ * Writes rows to a sheet with a single range write instead of one appendRow call per row.
+ * Rows shorter than the widest row are padded with blanks so the range is rectangular.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet to write to.
+ * @param {number} startRow The 1-based row to start writing at.
+ * @param {Array<Array<*>>} rows The rows to write.
+ * @returns {number} The number of rows written.
+ */
+function writeRowsInBatch(sheet, startRow, rows) {
+  if (rows.length === 0) return 0;
+
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 1);
+  const paddedRows = rows.map(row => row.length < width ? row.concat(new Array(width - row.length).fill('')) : row);
+  ensureSheetSize(sheet, startRow + paddedRows.length - 1, width);
+  sheet.getRange(startRow, 1, paddedRows.length, width).setValues(paddedRows);
+  return paddedRows.length;
+}
+
+/**
+ * Grows a sheet's grid so a range write of the given size fits. Unlike appendRow,
+ * range writes fail when they extend past the sheet's last row or column.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet to grow.
+ * @param {number} lastRow The last row the write needs.
+ * @param {number} lastColumn The last column the write needs.
+ */
+function ensureSheetSize(sheet, lastRow, lastColumn) {
+  const maxRows = sheet.getMaxRows();
+  if (lastRow > maxRows) {
+    sheet.insertRowsAfter(maxRows, lastRow - maxRows);
+  }
+  const maxColumns = sheet.getMaxColumns();
+  if (lastColumn > maxColumns) {
+    sheet.insertColumnsAfter(maxColumns, lastColumn - maxColumns);
+  }
+}
+
+/**
+ * Creates a timer that records how long each phase of a run takes, for the timing summary
+ * logged at the end of extraction and archive runs.
+ * @param {string} label The name of the run, used as the summary prefix.
+ * @returns {{mark: function(string): number, summary: function(): string}} mark() closes
+ * the current phase under the given name and returns its duration in milliseconds;
+ * summary() describes every phase and the total.
+ */
+function createRunTimer(label) {
+  const startedAt = Date.now();
+  let phaseStartedAt = startedAt;
+  const phases = [];
+
+  return {
+    mark: (phase) => {
+      const now = Date.now();
+      const elapsed = now - phaseStartedAt;
+      phases.push(`${phase} ${elapsed} ms`);
+      phaseStartedAt = now;
+      return elapsed;
+    },
+    summary: () => `${label} timing: ${phases.join(', ')}; total ${Date.now() - startedAt} ms`
+  };
+}
+
+/**
+ * Formats a moment in the script's time zone for the 'Updated At' column.
+ * @param {Date} date The moment to format.
+ * @returns {string} The timestamp as 'yyyy-MM-dd HH:mm'.
+ */
+function formatTimestamp(date) {
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm');
+}
+
 /**
  * Gets the date for the Monday of the current week.
  * @returns {Date} A Date object set to the preceding Monday.
@@ -52,6 +158,7 @@ function getMondayOfCurrentWeek() {
 /**
  * Extracts text from a shape while preserving all individual hyperlinks.
  * Returns either plain text or multiple HYPERLINK formulas joined together.
+ * @deprecated Use readRichText (see RichText.js), which keeps run order, emphasis and lists
  * @param {GoogleAppsScript.Slides.TextRange} textRange The TextRange from a shape.
  * @returns {string} The text content with preserved hyperlinks as HYPERLINK formulas.
  */
@@ -101,42 +208,472 @@ function extractTextAndFirstLink(textRange) {
   return extractTextWithAllLinks(textRange);
 }
 
+// --- AGENDA BOX LOCATOR ---
+
+/**
+ * Normalizes one component of a box tag for comparison (e.g., "Turn In" -> "turnin").
+ * @param {string} value The raw tag component.
+ * @returns {string} The lower-cased component with spaces and punctuation removed.
+ */
+function normalizeTagPart(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Reads the agenda box tag stored in a shape's alt text title or description.
+ * @param {GoogleAppsScript.Slides.Shape} shape The shape to inspect.
+ * @returns {{day: string, section: string}|null} The normalized tag parts
+ * (day is empty for the upcoming box), or null if the shape is not tagged.
+ */
+function readBoxTag(shape) {
+  const prefix = normalizeTagPart(CONSTANTS.BOX_TAG_PREFIX);
+  const altTexts = [shape.getTitle(), shape.getDescription()];
+
+  for (const altText of altTexts) {
+    if (!altText) continue;
+    const parts = String(altText).trim().split(':').map(normalizeTagPart);
+    if (parts[0] !== prefix) continue;
+
+    if (parts.length === 2 && parts[1] === 'upcoming') {
+      return { day: '', section: 'upcoming' };
+    }
+    if (parts.length === 3) {
+      return { day: parts[1], section: parts[2] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolves a box tag to the section it fills for the given day.
+ * @param {{day: string, section: string}|null} tag A tag returned by readBoxTag.
+ * @param {Object} profile The resolved layout profile (see getLayoutProfile).
+ * @param {string} dayOfWeek The day being extracted (e.g., "Monday").
+ * @returns {string|null} The profile section name or 'Upcoming', or null if the tag
+ * belongs to another day or names a section the profile does not define.
+ */
+function getSectionForBoxTag(tag, profile, dayOfWeek) {
+  if (!tag) return null;
+  if (tag.section === 'upcoming') return 'Upcoming';
+  if (tag.day !== normalizeTagPart(dayOfWeek)) return null;
+
+  for (const section of profile.sections) {
+    if (tag.section === normalizeTagPart(section)) return section;
+  }
+  for (const alias of Object.keys(profile.tagAliases)) {
+    if (tag.section === normalizeTagPart(alias)) return profile.tagAliases[alias];
+  }
+  return null;
+}
+
+/**
+ * Resolves a named layout profile from the LAYOUT_PROFILES setting, following 'extends'.
+ * @param {string} [profileName] The profile name; blank selects the DEFAULT_LAYOUT_PROFILE setting.
+ * @returns {{name: string, sections: Array<string>, tagAliases: Object.<string, string>,
+ *   days: Object.<string, Object>, upcoming: Object}} The resolved profile.
+ * @throws {Error} If the profile (or a profile it extends) is not defined.
+ */
+function getLayoutProfile(profileName) {
+  const profiles = getSetting('LAYOUT_PROFILES');
+  const name = String(profileName || '').trim() || getSetting('DEFAULT_LAYOUT_PROFILE');
+
+  let resolved = {};
+  const visited = [];
+  let current = name;
+  while (current) {
+    if (!profiles.hasOwnProperty(current)) {
+      throw new Error(`Layout profile '${current}' is not defined in the LAYOUT_PROFILES setting.`);
+    }
+    if (visited.indexOf(current) !== -1) {
+      throw new Error(`Layout profile '${name}' has a circular 'extends' chain.`);
+    }
+    visited.push(current);
+    resolved = Object.assign({}, profiles[current], resolved);
+    current = profiles[current].extends;
+  }
+
+  return {
+    name: name,
+    sections: resolved.sections || [],
+    tagAliases: resolved.tagAliases || {},
+    days: resolved.days || {},
+    upcoming: resolved.upcoming || null
+  };
+}
+
+/**
+ * Builds the header row shared by the Current_Day_Agendas sheet for a set of section names.
+ * Section columns sit between 'Day of Week' and 'Upcoming', in the order given.
+ * @param {Array<string>} sections The union of section names across the profiles in use.
+ * @returns {Array<string>} The header row.
+ */
+function buildAgendaHeaders(sections) {
+  return ['Teacher Last Name', 'Class Name', 'Day of Week']
+    .concat(sections)
+    .concat(['Upcoming', 'Grade Level', 'Layout Profile', 'Match Strategy', 'Rich Text', 'Status', 'Updated At', 'Error', 'Presentation ID']);
+}
+
+/**
+ * Lists the agenda section columns of a data or archive sheet header row.
+ * @param {Array<string>} headers The sheet's header row.
+ * @returns {Array<{key: string, label: string}>} The cleaned property key and the header
+ * label of each section column, in sheet order.
+ */
+function getSectionColumns(headers) {
+  return headers
+    .filter(header => header && CONSTANTS.DATA_META_HEADERS.indexOf(header) === -1)
+    .map(header => ({ key: String(header).replace(/[^a-zA-Z0-9]/g, ''), label: String(header) }));
+}
+
+/**
+ * Checks whether a shape's position and size are within TOLERANCE (a setting) of a target box.
+ * @param {GoogleAppsScript.Slides.Shape} shape The shape to compare.
+ * @param {{x: number, y: number, width: number, height: number}} targetBox The expected geometry.
+ * @returns {boolean} True if every dimension is within tolerance.
+ */
+function shapeMatchesBox(shape, targetBox) {
+  const tolerance = getSetting('TOLERANCE');
+  return Math.abs(shape.getLeft() - targetBox.x) < tolerance &&
+    Math.abs(shape.getTop() - targetBox.y) < tolerance &&
+    Math.abs(shape.getWidth() - targetBox.width) < tolerance &&
+    Math.abs(shape.getHeight() - targetBox.height) < tolerance;
+}
+
+/**
+ * Finds the agenda boxes for one day on an agenda slide.
+ * Shapes tagged through their alt text are matched first, so a tagged box can be moved or
+ * resized freely. Any section left unfilled falls back to the profile's box geometry.
+ * Each section records which strategy located it.
+ * @param {GoogleAppsScript.Slides.Slide} slide The agenda slide for the current week.
+ * @param {Object} profile The resolved layout profile (see getLayoutProfile).
+ * @param {string} dayOfWeek The day to locate (e.g., "Monday").
+ * @param {Object} [report] The presentation's sync report; near misses for unfound boxes are
+ * recorded in it (see recordBoxDiagnostics).
+ * @returns {Object.<string, {shape: GoogleAppsScript.Slides.Shape, strategy: string}>}
+ * The located shape (or null) and its strategy ('tag', 'geometry' or 'none') for each
+ * profile section and for 'Upcoming'.
+ */
+function locateAgendaBoxes(slide, profile, dayOfWeek, report) {
+  const dayBoxes = profile.days[dayOfWeek] || {};
+  const targets = {};
+  profile.sections.forEach(section => {
+    targets[section] = dayBoxes[section] || null;
+  });
+  targets['Upcoming'] = profile.upcoming;
+
+  const located = {};
+  Object.keys(targets).forEach(section => {
+    located[section] = { shape: null, strategy: 'none' };
+  });
+
+  const shapes = slide.getPageElements()
+    .filter(element => element.getPageElementType() === SlidesApp.PageElementType.SHAPE)
+    .map(element => element.asShape());
+
+  // First pass: semantic tags. Tagged shapes never fall through to geometry matching,
+  // even when they belong to another day.
+  const untaggedShapes = [];
+  shapes.forEach(shape => {
+    const tag = readBoxTag(shape);
+    if (!tag) {
+      untaggedShapes.push(shape);
+      return;
+    }
+    const section = getSectionForBoxTag(tag, profile, dayOfWeek);
+    if (section && !located[section].shape) {
+      located[section] = { shape: shape, strategy: 'tag' };
+    }
+  });
+
+  // Second pass: geometry for any section the tags did not fill.
+  const textShapes = [];
+  untaggedShapes.forEach(shape => {
+    const textRange = shape.getText();
+    if (textRange.isEmpty()) return;
+    textShapes.push(shape);
+
+    for (const section of Object.keys(targets)) {
+      if (located[section].shape || !targets[section]) continue;
+      if (shapeMatchesBox(shape, targets[section])) {
+        located[section] = { shape: shape, strategy: 'geometry' };
+        break;
+      }
+    }
+  });
+
+  if (report) {
+    recordBoxDiagnostics(report, located, targets, textShapes);
+  }
+  return located;
+}
+
+/**
+ * Summarizes which strategy located each box, for the 'Match Strategy' column.
+ * @param {Object.<string, {strategy: string}>} located The result of locateAgendaBoxes.
+ * @returns {string} A summary such as "Turn In: tag; Activities: geometry; ...".
+ */
+function describeMatchStrategies(located) {
+  return Object.keys(located)
+    .map(section => `${section}: ${located[section].strategy}`)
+    .join('; ');
+}
+
+
+/**
+ * Extracts the text of one day's agenda boxes (and the upcoming box) from an agenda slide.
+ * @param {GoogleAppsScript.Slides.Slide} slide The agenda slide for the week.
+ * @param {Object} profile The resolved layout profile (see getLayoutProfile).
+ * @param {string} dayOfWeek The day to extract (e.g., "Monday").
+ * @param {Object} [report] The presentation's sync report, passed through to locateAgendaBoxes.
+ * @returns {{values: Object.<string, string>, richText: string, matchStrategy: string}} The
+ * plain-text cell value of each section and 'Upcoming' ('N/A' when the box was not found or is
+ * empty), the 'Rich Text' cell value (the JSON of each non-empty box's model, keyed by section;
+ * see RichText.js) and the match strategy summary.
+ */
+function extractAgendaBoxes(slide, profile, dayOfWeek, report) {
+  const located = locateAgendaBoxes(slide, profile, dayOfWeek, report);
+  const values = {};
+  const richText = {};
+  Object.keys(located).forEach(section => {
+    const model = located[section].shape ? readRichText(located[section].shape.getText()) : null;
+    values[section] = richTextToPlainText(model);
+    if (model) richText[section] = model;
+  });
+  return { values: values, richText: JSON.stringify(richText), matchStrategy: describeMatchStrategies(located) };
+}
+
+/**
+ * Reads the presentation rows of the Presentation_IDs sheet.
+ * Columns are: A presentation ID, B teacher last name, C class name, D grade level and
+ * the optional E layout profile (blank selects the DEFAULT_LAYOUT_PROFILE setting).
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} configSheet The Presentation_IDs sheet.
+ * @returns {Array<{presentationId: string, teacherLastName: string, className: string,
+ *   gradeLevel: string, profileName: string}>} One trimmed entry per sheet row.
+ */
+function readPresentationConfig(configSheet) {
+  const rowCount = configSheet.getLastRow() - 1;
+  if (rowCount < 1) return [];
+
+  const columnCount = Math.min(5, Math.max(4, configSheet.getLastColumn()));
+  const values = configSheet.getRange(2, 1, rowCount, columnCount).getValues();
+
+  return values.map(row => {
+    const [presentationId, teacherLastName, className, gradeLevel, profileName] = row.map(cell => String(cell == null ? '' : cell).trim());
+    return {
+      // A pasted link still works until onEdit or the validation command replaces it with its ID
+      presentationId: extractPresentationId(presentationId),
+      teacherLastName: teacherLastName,
+      className: className,
+      gradeLevel: gradeLevel,
+      profileName: profileName || getSetting('DEFAULT_LAYOUT_PROFILE')
+    };
+  });
+}
+
+/**
+ * Resolves the layout profile of every configured presentation.
+ * @param {Array<Object>} configEntries The entries returned by readPresentationConfig.
+ * @returns {{profiles: Object.<string, Object>, sections: Array<string>}} The resolved
+ * profiles keyed by name (null for names that are not defined) and the union of their
+ * section names, in first-seen order.
+ */
+function resolveLayoutProfiles(configEntries) {
+  const profiles = {};
+  const sections = [];
+  configEntries.forEach(entry => {
+    if (!entry.presentationId || profiles.hasOwnProperty(entry.profileName)) return;
+    try {
+      profiles[entry.profileName] = getLayoutProfile(entry.profileName);
+      profiles[entry.profileName].sections.forEach(section => {
+        if (sections.indexOf(section) === -1) sections.push(section);
+      });
+    } catch (e) {
+      profiles[entry.profileName] = null;
+      Logger.log(e.message);
+    }
+  });
+  return { profiles: profiles, sections: sections };
+}
+
+/**
+ * Prepares a value for a sheet write so that text is stored as text. Sheets reads a string
+ * starting with '=', '+' or '-' as a formula (or shows #ERROR!), so such text gets a leading
+ * apostrophe. Sheets drops the apostrophe when the cell is read back, which is why every copy
+ * of agenda cells goes through this again.
+ * @param {*} value The cell value.
+ * @returns {*} The value to write.
+ */
+function toSheetText(value) {
+  return typeof value === 'string' && /^[=+-]/.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Picks what to write when copying a cell read with getValues and getFormulas: the formula
+ * if it has one (e.g., HYPERLINK), otherwise its value kept as text (see toSheetText).
+ * @param {*} value The cell value.
+ * @param {string} formula The cell formula, or '' if it has none.
+ * @returns {*} The value to write.
+ */
+function toSheetCell(value, formula) {
+  return formula ? formula : toSheetText(value);
+}
+
+/**
+ * Lays out an agenda record as a sheet row following the given header.
+ * Columns the record does not define (such as sections outside its layout profile) are left blank.
+ * Record values are text, never formulas (see toSheetText).
+ * @param {Array<string>} headers The sheet's header row.
+ * @param {Object.<string, string>} record The row values keyed by header.
+ * @returns {Array<string>} The row values.
+ */
+function buildAgendaRow(headers, record) {
+  return headers.map(header => record.hasOwnProperty(header) ? toSheetText(record[header]) : '');
+}
+
+/**
+ * Extracts one presentation's agenda for a day and lays it out as a data sheet row.
+ * Errors are caught and turned into an 'Unavailable' row with blank sections and the message
+ * in the staff-only 'Error' column; the caller may replace it with the last good agenda.
+ * @param {Object} entry A Presentation_IDs entry returned by readPresentationConfig.
+ * @param {Object.<string, Object>} profiles The resolved profiles from resolveLayoutProfiles.
+ * @param {Array<string>} headers The data sheet header row.
+ * @param {string} dayOfWeek The day to extract (e.g., "Monday").
+ * @param {Object} weekMatcher The current week's header matcher (see buildWeekHeaderMatcher).
+ * @param {boolean} [verbose] If true, the report describes every text shape on the agenda slide.
+ * @returns {{record: Object.<string, string>, row: Array<string>, success: boolean, report: Object}|null}
+ * The record keyed by header, the row, whether it extracted cleanly and its sync report (see
+ * SyncReport.js), or null if the entry was skipped (blank ID or no boxes for the day).
+ */
+function extractAgendaRow(entry, profiles, headers, dayOfWeek, weekMatcher, verbose) {
+  const { presentationId, teacherLastName, className, gradeLevel, profileName } = entry;
+
+  if (!presentationId) {
+    Logger.log('Skipping empty presentation ID row.');
+    return null;
+  }
+
+  const record = {
+    'Teacher Last Name': teacherLastName,
+    'Class Name': className,
+    'Day of Week': dayOfWeek,
+    'Grade Level': gradeLevel,
+    'Layout Profile': profileName,
+    'Presentation ID': presentationId
+  };
+  const profile = profiles[profileName];
+  const report = createPresentationReport(entry, dayOfWeek, verbose);
+
+  try {
+    if (!profile) {
+      throw new Error(`Layout profile '${profileName}' is not defined in the LAYOUT_PROFILES setting.`);
+    }
+    if (!profile.days.hasOwnProperty(dayOfWeek)) {
+      Logger.log(`Skipping ${teacherLastName} - ${className}: layout profile '${profileName}' has no ${dayOfWeek} boxes.`);
+      return null;
+    }
+
+    const presentation = SlidesApp.openById(presentationId);
+    const { slide: agendaSlide, matchedPattern } = findAgendaSlide(presentation, weekMatcher);
+    Logger.log(`Found agenda slide by ${matchedPattern} for ${teacherLastName} - ${className}`);
+    report.headerPattern = matchedPattern;
+
+    const boxes = extractAgendaBoxes(agendaSlide, profile, dayOfWeek, report);
+    Object.assign(record, boxes.values);
+    record['Rich Text'] = boxes.richText;
+    record['Match Strategy'] = boxes.matchStrategy;
+    report.boxMatches = boxes.matchStrategy;
+
+    record['Status'] = 'OK';
+    record['Updated At'] = formatTimestamp(new Date());
+    report.status = 'OK';
+    report.durationMs = Date.now() - report.startedAt;
+    Logger.log(`Processed: ${teacherLastName} - ${className} for ${dayOfWeek}`);
+    return { record: record, row: buildAgendaRow(headers, record), success: true, report: report };
+
+  } catch (e) {
+    Logger.log(`Error processing presentation ID ${presentationId} (${teacherLastName}, ${className}): ${e.message}`);
+    record['Status'] = 'Unavailable';
+    record['Error'] = e.message;
+    report.status = 'Unavailable';
+    report.error = e.message;
+    report.durationMs = Date.now() - report.startedAt;
+    return { record: record, row: buildAgendaRow(headers, record), success: false, report: report };
+  }
+}
+
+/**
+ * Runs the daily extraction from the menu or a test function. Waits briefly for any other
+ * extraction or archive run to finish (see Locking.js) and skips the run if it does not.
+ * @param {string} [dayToTest] - Optional. The day of the week to run the extraction for.
+ * @param {boolean} [forceFullRead] - Optional. If true, every presentation is re-read even if unchanged.
+ * @returns {string|undefined} A summary of the result, or undefined if the run was skipped.
+ */
+function extractTextForCurrentDayAgenda(dayToTest, forceFullRead) {
+  const run = runWithScriptLock('Daily extraction', 'menu', CONSTANTS.LOCK_WAIT_MS.manual,
+    () => startExtractionRun(dayToTest, forceFullRead, 'menu'));
+  if (run.skipped) return undefined;
+
+  // Alert only after the lock is released, so an open dialog does not hold up other runs
+  if (isUiAvailable()) {
+    SpreadsheetApp.getUi().alert('Daily Agenda Extraction', run.result.message, SpreadsheetApp.getUi().ButtonSet.OK);
+  }
+  return run.result.message;
+}
 
 /**
  * Extracts text from specific text boxes on Google Slide presentations
  * for the current day of the week, after finding the correct slide for the current week.
- * Appends the extracted data, preserving rich text and hyperlinks, to a main data sheet.
+ * Writes the extracted data, preserving rich text and hyperlinks, to a main data sheet.
+ *
+ * This starts a new checkpointed run: presentations are processed in chunks that stop before
+ * CONSTANTS.EXTRACTION_TIME_BUDGET_MS runs out, and a continuation trigger resumes from the
+ * next row (see continueExtractionRun) until every row has been processed.
+ * Presentations whose Drive file has not changed since they were last read for the same day
+ * reuse their cached row (see ExtractionCache.js) unless forceFullRead is set.
+ * The caller must hold the script lock.
  * @param {string} [dayToTest] - Optional. A string representing the day of the week
  * (e.g., "Monday") to run the script for, used for testing purposes. If undefined,
  * the script will use the actual current day.
+ * @param {boolean} [forceFullRead] - Optional. If true, every presentation is re-read even if unchanged.
+ * @param {string} [source] - Optional. What started the run, for the run history; defaults to 'menu'.
+ * @param {boolean} [queueOnly] - Optional. If true, the run is saved for the continuation trigger
+ * to process instead of being processed now (used to queue every school's run before any is processed).
+ * @returns {{started: boolean, message: string}} Whether a run was started (false if there was
+ * nothing to extract or a sheet is missing) and a summary of the result, for the caller to show
+ * once the lock is released.
  */
-function extractTextForCurrentDayAgenda(dayToTest) {
-  const SPREADSHEET_ID = CONSTANTS.SPREADSHEET_ID;
-  const CONFIG_SHEET_NAME = CONSTANTS.CONFIG_SHEET_NAME;
-  const DATA_SHEET_NAME = CONSTANTS.DATA_SHEET_NAME;
-  const BOX_COORDINATES = CONSTANTS.BOX_COORDINATES;
+function startExtractionRun(dayToTest, forceFullRead, source, queueOnly) {
+  const SPREADSHEET_ID = getSetting('SPREADSHEET_ID');
+  const CONFIG_SHEET_NAME = getSetting('CONFIG_SHEET_NAME');
+  const DATA_SHEET_NAME = getSetting('DATA_SHEET_NAME');
 
+  const run = startRunRecord('Daily extraction', source || 'menu');
   const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
 
   const configSheet = spreadsheet.getSheetByName(CONFIG_SHEET_NAME);
   if (!configSheet) {
     const errorMessage = `Error: Configuration sheet '${CONFIG_SHEET_NAME}' not found. Please ensure it exists.`;
     Logger.log(errorMessage);
-    if (isUiAvailable()) {
-      SpreadsheetApp.getUi().alert(errorMessage);
-    }
-    return;
+    finishRunRecord(run, 'Failed', errorMessage);
+    return { started: false, message: errorMessage };
   }
 
   let dataSheet = spreadsheet.getSheetByName(DATA_SHEET_NAME);
   if (!dataSheet) {
     const errorMessage = `Error: Data sheet '${DATA_SHEET_NAME}' not found. Please ensure it exists.`;
     Logger.log(errorMessage);
-    if (isUiAvailable()) {
-      SpreadsheetApp.getUi().alert(errorMessage);
-    }
-    return;
+    finishRunRecord(run, 'Failed', errorMessage);
+    return { started: false, message: errorMessage };
+  }
+
+  // Starting over abandons any unfinished run and its pending continuation
+  const unfinishedState = loadExtractionRunState();
+  if (unfinishedState && unfinishedState.run) {
+    finishRunRecord(unfinishedState.run, 'Abandoned',
+      `Replaced by run ${run.runId} after ${unfinishedState.nextIndex} of ${unfinishedState.totalRows} rows.`);
   }
+  clearExtractionRunState();
+  pruneSyncReport(spreadsheet);
 
   const today = new Date();
   
@@ -144,175 +681,752 @@ function extractTextForCurrentDayAgenda(dayToTest) {
   // This allows teachers to update their agendas throughout the day with only the 
   // final version being archived at end of day
   Logger.log('Extraction running - archiving handled separately by daily trigger');
-  
-  dataSheet.clearContents();
-  dataSheet.appendRow([
-    'Teacher Last Name', 'Class Name', 'Day of Week', 'Turn In', 'Activities',
-    'Practice Work', 'Upcoming', 'Grade Level'
-  ]);
+
+  const configEntries = readPresentationConfig(configSheet);
+
+  // Resolve each row's layout profile up front so the header can carry every section in use
+  const { profiles, sections } = resolveLayoutProfiles(configEntries);
+  const headers = buildAgendaHeaders(sections);
+
   const dayOfWeek = dayToTest || Utilities.formatDate(today, Session.getScriptTimeZone(), 'EEEE');
   Logger.log(`Running extraction for: ${dayOfWeek}`);
 
-  if (!BOX_COORDINATES.hasOwnProperty(dayOfWeek)) {
+  const profileNamesForDay = Object.keys(profiles).filter(name => profiles[name] && profiles[name].days.hasOwnProperty(dayOfWeek));
+  if (profileNamesForDay.length === 0) {
     const message = dayToTest ?
-      `The provided test day '${dayToTest}' has no coordinates defined.` :
+      `The provided test day '${dayToTest}' is not defined by any layout profile in use.` :
       `Today is ${dayOfWeek}. No agenda extraction scheduled for this day.`;
     Logger.log(message);
-    if (isUiAvailable()) {
-      SpreadsheetApp.getUi().alert(message);
+    publishAgendaRows(dataSheet, [headers]);
+    finishRunRecord(run, 'Nothing to do');
+    return { started: false, message: message };
+  }
+
+  if (configEntries.length === 0 || configEntries.every(entry => !entry.presentationId)) {
+    const errorMessage = 'No presentation IDs found in the configuration sheet.';
+    Logger.log(errorMessage);
+    publishAgendaRows(dataSheet, [headers]);
+    finishRunRecord(run, 'Nothing to do', errorMessage);
+    return { started: false, message: errorMessage };
+  }
+
+  Logger.log(`Found ${configEntries.length} presentation entries to process.`);
+
+  // Results are built in the staging sheet; the live data sheet keeps serving the last
+  // complete data set until the run finishes and publishes
+  const stagingSheet = getOrCreateStagingSheet(spreadsheet);
+  stagingSheet.clearContents();
+  writeRowsInBatch(stagingSheet, 1, [headers]);
+
+  const state = {
+    runId: run.runId,
+    run: run,
+    dayOfWeek: dayOfWeek,
+    mondayIso: getMondayOfCurrentWeek().toISOString(),
+    headers: headers,
+    sections: sections,
+    startedAt: Date.now(),
+    nextIndex: 0,
+    totalRows: configEntries.length,
+    forceFullRead: !!forceFullRead,
+    processedCount: 0,
+    rereadCount: 0,
+    skippedCount: 0,
+    errorCount: 0,
+    staleCount: 0,
+    chunkCount: 0,
+    processingMs: 0
+  };
+  saveExtractionRunState(state);
+  Logger.log(`[${state.runId}] Started extraction run for ${dayOfWeek} (${configEntries.length} rows)`);
+
+  if (queueOnly) {
+    scheduleContinuationTrigger();
+    const queuedMessage = `Extraction for ${dayOfWeek} queued; it will start automatically in a moment.`;
+    Logger.log(`[${state.runId}] ${queuedMessage}`);
+    return { started: true, message: queuedMessage };
+  }
+  return { started: true, message: continueExtractionRun(state) };
+}
+
+// --- RESUMABLE EXTRACTION ---
+
+/**
+ * Runs the daily extraction re-reading every presentation, ignoring the change-detection cache.
+ * Useful after changing layout profiles or the extraction code.
+ */
+function extractAllAgendasIgnoringCache() {
+  extractTextForCurrentDayAgenda(undefined, true);
+}
+
+/**
+ * Trigger handler for the one-off continuation trigger scheduled when an extraction run
+ * pauses or is queued. Resumes the saved run of the first school that has one, from its next
+ * unprocessed row, and schedules another continuation while any school's run remains.
+ */
+function resumeExtractionTrigger() {
+  deleteContinuationTriggers();
+
+  try {
+    const school = getSchools().find(candidate => withSchool(candidate, () => !!loadExtractionRunState()));
+    if (!school) {
+      Logger.log('Continuation trigger fired but no extraction run is in progress.');
+      return;
+    }
+
+    withSchool(school, () => {
+      runWithScriptLock('Extraction continuation', 'continuation trigger', CONSTANTS.LOCK_WAIT_MS.continuation, () => {
+        const state = loadExtractionRunState();
+        if (!state) return;
+        Logger.log(`[${state.runId}] Resuming extraction for '${school.id}' at row ${state.nextIndex + 1} of ${state.totalRows}`);
+        try {
+          continueExtractionRun(state);
+        } catch (e) {
+          // A run that fails on resume is abandoned, so it cannot hold up the other schools' runs
+          Logger.log(`[${state.runId}] Extraction for '${school.id}' failed and was abandoned: ${e.message}`);
+          finishRunRecord(state.run, 'Failed', e.message);
+          clearExtractionRunState();
+        }
+      });
+    });
+  } finally {
+    // A skipped or failed continuation tries again later rather than abandoning the runs still saved
+    if (hasPendingExtractionRuns()) {
+      scheduleContinuationTrigger();
+    }
+  }
+}
+
+/**
+ * Processes presentations for a saved extraction run until every row is done or the
+ * execution time budget runs out. Each chunk's rows are appended to the staging sheet with one
+ * range write and the cursor is saved, so a paused run loses no work. When rows remain, a
+ * continuation trigger is scheduled; when none remain, the run is finalized and published.
+ * @param {Object} state The run state created by startExtractionRun.
+ * @returns {string} The pause or completion message.
+ */
+function continueExtractionRun(state) {
+  const chunkStartedAt = Date.now();
+  const timer = createRunTimer(`[${state.runId}] Extraction chunk ${state.chunkCount + 1}`);
+
+  const spreadsheet = SpreadsheetApp.openById(getSetting('SPREADSHEET_ID'));
+  const configSheet = spreadsheet.getSheetByName(getSetting('CONFIG_SHEET_NAME'));
+  const stagingSheet = spreadsheet.getSheetByName(CONSTANTS.STAGING_SHEET_NAME);
+  if (!configSheet || !stagingSheet) {
+    Logger.log(`[${state.runId}] Configuration or staging sheet missing; abandoning the extraction run.`);
+    finishRunRecord(state.run, 'Failed', 'Configuration or staging sheet missing.');
+    clearExtractionRunState();
+    return 'Extraction failed: the configuration or staging sheet is missing.';
+  }
+
+  const configEntries = readPresentationConfig(configSheet);
+  const { profiles } = resolveLayoutProfiles(configEntries);
+  const monday = new Date(state.mondayIso);
+  const weekOf = normalizeDateToString(monday);
+  const weekMatcher = buildCalendarAwareWeekMatcher(spreadsheet, monday);
+  const cache = loadExtractionCache(spreadsheet);
+  timer.mark('config and cache read');
+
+  const rows = [];
+  const reports = [];
+  let index = state.nextIndex;
+  while (index < configEntries.length) {
+    if (Date.now() - chunkStartedAt >= CONSTANTS.EXTRACTION_TIME_BUDGET_MS) {
+      Logger.log(`[${state.runId}] Time budget reached after ${Date.now() - chunkStartedAt} ms; pausing at row ${index + 1}.`);
+      break;
+    }
+
+    const entry = configEntries[index];
+    index++;
+    if (!entry.presentationId) {
+      Logger.log('Skipping empty presentation ID row.');
+      continue;
+    }
+
+    const entryStartedAt = Date.now();
+    const fingerprint = getPresentationFingerprint(entry.presentationId);
+    const cachedRecord = state.forceFullRead ? null : getCachedRecord(cache, entry, fingerprint, state.dayOfWeek, weekOf);
+    if (cachedRecord) {
+      rows.push(buildAgendaRow(state.headers, cachedRecord));
+      const report = createPresentationReport(entry, state.dayOfWeek);
+      report.status = 'Unchanged (cached)';
+      report.durationMs = Date.now() - entryStartedAt;
+      report.boxMatches = cachedRecord['Match Strategy'] || '';
+      reports.push(report);
+      state.processedCount++;
+      state.skippedCount++;
+      Logger.log(`Unchanged since last read, reusing cached row: ${entry.teacherLastName} - ${entry.className}`);
+      continue;
     }
+
+    const result = extractAgendaRow(entry, profiles, state.headers, state.dayOfWeek, weekMatcher);
+    if (result) {
+      reports.push(result.report);
+      state.processedCount++;
+      state.rereadCount++;
+      if (!result.success) {
+        state.errorCount++;
+        addRunError(state.run, `${entry.teacherLastName} - ${entry.className}: ${result.record['Error']}`);
+      }
+      // A failed read serves the last good agenda for today, flagged as stale, rather than losing the class
+      const settled = settleExtractedRecord(cache, entry, fingerprint, state.dayOfWeek, weekOf, result);
+      if (settled.stale) state.staleCount++;
+      rows.push(buildAgendaRow(state.headers, settled.record));
+    }
+  }
+  state.processingMs += timer.mark(`${rows.length} presentations processed`);
+
+  writeRowsInBatch(stagingSheet, stagingSheet.getLastRow() + 1, rows);
+  saveExtractionCache(cache);
+  timer.mark(`staging write (1 range write, ${rows.length} rows)`);
+  appendSyncReportRows(spreadsheet, reports.map(report => buildSyncReportRow(state.runId, report)));
+  timer.mark('sync report write');
+
+  state.nextIndex = index;
+  state.chunkCount++;
+  Logger.log(timer.summary());
+
+  if (index < configEntries.length) {
+    saveExtractionRunState(state);
+    scheduleContinuationTrigger();
+    const pauseMessage = `Extraction for ${state.dayOfWeek} paused after ${index} of ${configEntries.length} rows to stay within the execution time limit. ` +
+      'It will continue automatically in a moment.';
+    Logger.log(`[${state.runId}] ${pauseMessage}`);
+    return pauseMessage;
+  }
+
+  return finalizeExtractionRun(spreadsheet, state);
+}
+
+/**
+ * Finishes an extraction run once every row has been processed: publishes the staged rows
+ * to the live data sheet, clears the saved state and reports the results and timing.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The main spreadsheet.
+ * @param {Object} state The completed run state.
+ * @returns {string} The completion message.
+ */
+function finalizeExtractionRun(spreadsheet, state) {
+  const dataSheet = spreadsheet.getSheetByName(getSetting('DATA_SHEET_NAME'));
+  if (!dataSheet) {
+    const errorMessage = `Data sheet '${getSetting('DATA_SHEET_NAME')}' not found; the staged results were not published.`;
+    Logger.log(`[${state.runId}] ${errorMessage}`);
+    finishRunRecord(state.run, 'Failed', errorMessage);
+    clearExtractionRunState();
+    return errorMessage;
+  }
+  const publishedRows = publishStagingSheet(spreadsheet.getSheetByName(CONSTANTS.STAGING_SHEET_NAME), dataSheet);
+  Logger.log(`[${state.runId}] Published ${publishedRows} rows to ${getSetting('DATA_SHEET_NAME')}`);
+  clearExtractionRunState();
+
+  const averageMs = state.processedCount > 0 ? Math.round(state.processingMs / state.processedCount) : 0;
+  const totalSeconds = Math.round((Date.now() - state.startedAt) / 1000);
+  const completionMessage = 'Data for ' + state.dayOfWeek + ' has been extracted and compiled into the "' + getSetting('DATA_SHEET_NAME') + '" tab.' +
+    `\n\n${state.processedCount} presentations processed (${state.errorCount} errors, ${state.staleCount} served from their last good read) in ${state.chunkCount} chunk(s) over ${totalSeconds} s ` +
+    `(avg ${averageMs} ms per presentation).` +
+    `\n${state.rereadCount} presentations re-read, ${state.skippedCount} skipped as unchanged since the last run.`;
+  Logger.log('Hourly extraction complete - data updated in Current_Day_Agendas tab (archiving handled by separate daily trigger)');
+  Logger.log(`[${state.runId}] ${completionMessage}`);
+  appendSyncReportRows(spreadsheet, [buildSyncRunSummaryRow(state, publishedRows)]);
+  Object.assign(state.run.counts, {
+    'rows published': publishedRows, 're-read': state.rereadCount, 'unchanged': state.skippedCount,
+    'errors': state.errorCount, 'served stale': state.staleCount, 'chunks': state.chunkCount
+  });
+  finishRunRecord(state.run);
+  return completionMessage;
+}
+
+/**
+ * Gets the hidden staging sheet that an extraction run writes to, creating it if needed.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The main spreadsheet.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The staging sheet.
+ */
+function getOrCreateStagingSheet(spreadsheet) {
+  let stagingSheet = spreadsheet.getSheetByName(CONSTANTS.STAGING_SHEET_NAME);
+  if (!stagingSheet) {
+    stagingSheet = spreadsheet.insertSheet(CONSTANTS.STAGING_SHEET_NAME);
+    stagingSheet.hideSheet();
+    Logger.log(`Created staging sheet: ${CONSTANTS.STAGING_SHEET_NAME}`);
+  }
+  return stagingSheet;
+}
+
+/**
+ * Copies the staging sheet's contents (formulas preserved) to the live data sheet in one write.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} stagingSheet The staging sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} dataSheet The live data sheet.
+ * @returns {number} The number of data rows published, excluding the header.
+ */
+function publishStagingSheet(stagingSheet, dataSheet) {
+  const range = stagingSheet.getDataRange();
+  const values = range.getValues();
+  const formulas = range.getFormulas();
+  const rows = values.map((row, i) => row.map((value, j) => toSheetCell(value, formulas[i][j])));
+
+  publishAgendaRows(dataSheet, rows);
+  return rows.length - 1;
+}
+
+/**
+ * Replaces a sheet's contents with the given rows in a single range write, so readers see
+ * either the old data set or the new one and never a cleared or half-filled sheet.
+ * The write is padded with blanks to cover every cell of the old contents instead of
+ * clearing the sheet first.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet to replace.
+ * @param {Array<Array<*>>} rows The new contents, including the header row.
+ */
+function publishAgendaRows(sheet, rows) {
+  const height = Math.max(rows.length, sheet.getLastRow(), 1);
+  const width = Math.max(rows.reduce((max, row) => Math.max(max, row.length), 1), sheet.getLastColumn());
+  const grid = [];
+  for (let i = 0; i < height; i++) {
+    const row = rows[i] || [];
+    grid.push(row.concat(new Array(width - row.length).fill('')));
+  }
+  ensureSheetSize(sheet, height, width);
+  sheet.getRange(1, 1, height, width).setValues(grid);
+}
+
+/**
+ * Loads the saved state of the extraction run in progress.
+ * @returns {Object|null} The run state, or null if no run is in progress.
+ */
+function loadExtractionRunState() {
+  const raw = PropertiesService.getScriptProperties().getProperty(getSchoolPropertyKey(CONSTANTS.EXTRACTION_STATE_PROPERTY));
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    Logger.log(`Discarding unreadable extraction run state: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Saves the state of the extraction run in progress, stamping when it was last checkpointed.
+ * @param {Object} state The run state.
+ */
+function saveExtractionRunState(state) {
+  state.updatedAt = Date.now();
+  PropertiesService.getScriptProperties().setProperty(getSchoolPropertyKey(CONSTANTS.EXTRACTION_STATE_PROPERTY), JSON.stringify(state));
+}
+
+/**
+ * Clears the saved extraction run state, and the pending continuation trigger unless another
+ * school's run still needs it.
+ */
+function clearExtractionRunState() {
+  PropertiesService.getScriptProperties().deleteProperty(getSchoolPropertyKey(CONSTANTS.EXTRACTION_STATE_PROPERTY));
+  if (!hasPendingExtractionRuns()) {
+    deleteContinuationTriggers();
+  }
+}
+
+/**
+ * Checks whether an unfinished extraction run is still expected to be resumed.
+ * Runs that have not checkpointed within CONSTANTS.EXTRACTION_RUN_STALE_MS are treated as abandoned.
+ * @returns {boolean} True if a recent run is waiting on its continuation trigger.
+ */
+function isExtractionRunInProgress() {
+  const state = loadExtractionRunState();
+  return !!state && (Date.now() - (state.updatedAt || state.startedAt)) < CONSTANTS.EXTRACTION_RUN_STALE_MS;
+}
+
+/**
+ * Schedules the one-off trigger that resumes a paused extraction run.
+ */
+function scheduleContinuationTrigger() {
+  deleteContinuationTriggers();
+  ScriptApp.newTrigger('resumeExtractionTrigger')
+    .timeBased()
+    .after(CONSTANTS.CONTINUATION_TRIGGER_DELAY_MS)
+    .create();
+}
+
+/**
+ * Deletes any continuation triggers left from earlier chunks.
+ */
+function deleteContinuationTriggers() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === 'resumeExtractionTrigger')
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+}
+
+// --- WEEKLY EXTRACTION ---
+
+/**
+ * Wrapper function designed to be called by a timed trigger for the weekly extraction.
+ * Like runDailyExtractionTrigger, it keeps the trigger's event object away from the extractor,
+ * queues each school's run under the script lock and then processes the first one; a school
+ * whose weekly run is still in progress is left to its continuation trigger.
+ */
+function runWeeklyExtractionTrigger() {
+  Logger.log('Weekly extraction trigger initiated.');
+  if (!isWithinSchoolHours(new Date())) {
+    Logger.log('Outside school hours (see the TRIGGER_SCHEDULE setting); skipping the weekly extraction.');
     return;
   }
+  let queuedRuns = 0;
+  forEachSchool('Weekly extraction', school => {
+    runWithScriptLock('Weekly extraction', 'weekly trigger', CONSTANTS.LOCK_WAIT_MS.hourlyTrigger, () => {
+      if (isWeeklyExtractionRunInProgress()) {
+        Logger.log(`A weekly extraction run is still in progress at '${school.id}'; leaving it to its continuation trigger.`);
+        return;
+      }
+      if (startWeeklyExtractionRun('weekly trigger', true).started) queuedRuns++;
+    });
+  });
+
+  if (queuedRuns > 0) {
+    resumeWeeklyExtractionTrigger();
+  }
+}
+
+/**
+ * Runs the weekly extraction from the menu. Waits briefly for any other extraction or archive
+ * run to finish (see Locking.js) and skips the run if it does not.
+ * @returns {string|undefined} A summary of the result, or undefined if the run was skipped.
+ */
+function extractWeeklyAgendas() {
+  const run = runWithScriptLock('Weekly extraction', 'menu', CONSTANTS.LOCK_WAIT_MS.manual,
+    () => startWeeklyExtractionRun('menu'));
+  if (run.skipped) return undefined;
+
+  // Alert only after the lock is released, so an open dialog does not hold up other runs
+  if (isUiAvailable()) {
+    SpreadsheetApp.getUi().alert('Weekly Agenda Extraction', run.result.message, SpreadsheetApp.getUi().ButtonSet.OK);
+  }
+  return run.result.message;
+}
+
+/**
+ * Extracts every day of the current week from each presentation's "WEEK OF" slide and
+ * stores the rows in the weekly agenda sheet, keyed by the week's Monday.
+ * Rows for the current week are replaced; the most recent WEEKLY_WEEKS_TO_KEEP (a setting)
+ * weeks are kept so the web app can show the whole week for each class.
+ *
+ * Like the daily extraction, this starts a checkpointed run: presentations are processed in
+ * chunks that stop before CONSTANTS.EXTRACTION_TIME_BUDGET_MS runs out, and a continuation
+ * trigger resumes from the next row (see continueWeeklyExtractionRun). Starting a run abandons
+ * any unfinished weekly run. The caller must hold the script lock.
+ * @param {string} [source] What started the extraction, for the run history; defaults to 'menu'.
+ * @param {boolean} [queueOnly] If true, the run is saved for the continuation trigger to
+ * process instead of being processed now.
+ * @returns {{started: boolean, message: string}} Whether a run was started (false if the
+ * configuration sheet is missing) and a summary of the result, for the caller to show once the
+ * lock is released.
+ */
+function startWeeklyExtractionRun(source, queueOnly) {
+  const CONFIG_SHEET_NAME = getSetting('CONFIG_SHEET_NAME');
+
+  const run = startRunRecord('Weekly extraction', source || 'menu');
+  const spreadsheet = SpreadsheetApp.openById(getSetting('SPREADSHEET_ID'));
+
+  const configSheet = spreadsheet.getSheetByName(CONFIG_SHEET_NAME);
+  if (!configSheet) {
+    const errorMessage = `Error: Configuration sheet '${CONFIG_SHEET_NAME}' not found. Please ensure it exists.`;
+    Logger.log(errorMessage);
+    finishRunRecord(run, 'Failed', errorMessage);
+    return { started: false, message: errorMessage };
+  }
+
+  const unfinishedState = loadWeeklyExtractionRunState();
+  if (unfinishedState && unfinishedState.run) {
+    finishRunRecord(unfinishedState.run, 'Abandoned',
+      `Replaced by run ${run.runId} after ${unfinishedState.nextIndex} of ${unfinishedState.totalRows} rows.`);
+  }
+  clearWeeklyExtractionRunState();
+
+  const monday = getMondayOfCurrentWeek();
+  const state = {
+    runId: run.runId,
+    run: run,
+    mondayIso: monday.toISOString(),
+    weekOf: normalizeDateToString(monday),
+    startedAt: Date.now(),
+    nextIndex: 0,
+    totalRows: readPresentationConfig(configSheet).length,
+    classDays: 0,
+    errorCount: 0,
+    chunkCount: 0
+  };
+  saveWeeklyExtractionRunState(state);
+  Logger.log(`[${state.runId}] Started weekly extraction run for the week of ${state.weekOf} (${state.totalRows} rows)`);
+
+  if (queueOnly) {
+    scheduleWeeklyContinuationTrigger();
+    const queuedMessage = `Weekly extraction for the week of ${state.weekOf} queued; it will start automatically in a moment.`;
+    Logger.log(`[${state.runId}] ${queuedMessage}`);
+    return { started: true, message: queuedMessage };
+  }
+  return { started: true, message: continueWeeklyExtractionRun(state) };
+}
+
+/**
+ * Trigger handler for the one-off continuation trigger scheduled when a weekly extraction run
+ * pauses or is queued. Like resumeExtractionTrigger, it resumes the saved run of the first
+ * school that has one and schedules another continuation while any school's run remains.
+ */
+function resumeWeeklyExtractionTrigger() {
+  deleteWeeklyContinuationTriggers();
+
+  try {
+    const school = getSchools().find(candidate => withSchool(candidate, () => !!loadWeeklyExtractionRunState()));
+    if (!school) {
+      Logger.log('Weekly continuation trigger fired but no weekly extraction run is in progress.');
+      return;
+    }
+
+    withSchool(school, () => {
+      runWithScriptLock('Weekly extraction continuation', 'continuation trigger', CONSTANTS.LOCK_WAIT_MS.continuation, () => {
+        const state = loadWeeklyExtractionRunState();
+        if (!state) return;
+        Logger.log(`[${state.runId}] Resuming weekly extraction for '${school.id}' at row ${state.nextIndex + 1} of ${state.totalRows}`);
+        try {
+          continueWeeklyExtractionRun(state);
+        } catch (e) {
+          // A run that fails on resume is abandoned, so it cannot hold up the other schools' runs
+          Logger.log(`[${state.runId}] Weekly extraction for '${school.id}' failed and was abandoned: ${e.message}`);
+          finishRunRecord(state.run, 'Failed', e.message);
+          clearWeeklyExtractionRunState();
+        }
+      });
+    });
+  } finally {
+    // A skipped or failed continuation tries again later rather than abandoning the runs still saved
+    if (hasPendingWeeklyExtractionRuns()) {
+      scheduleWeeklyContinuationTrigger();
+    }
+  }
+}
+
+/**
+ * Processes presentations for a saved weekly extraction run until every row is done or the
+ * execution time budget runs out. Each chunk's rows are written to the weekly agenda sheet
+ * (the run's first chunk replaces the week's rows, later chunks add to them) and the cursor is
+ * saved, so a paused run loses no work. When rows remain, a continuation trigger is scheduled.
+ * @param {Object} state The run state created by startWeeklyExtractionRun.
+ * @returns {string} The pause or completion message.
+ */
+function continueWeeklyExtractionRun(state) {
+  const chunkStartedAt = Date.now();
+  const WEEKLY_SHEET_NAME = getSetting('WEEKLY_SHEET_NAME');
+
+  const spreadsheet = SpreadsheetApp.openById(getSetting('SPREADSHEET_ID'));
+  const configSheet = spreadsheet.getSheetByName(getSetting('CONFIG_SHEET_NAME'));
+  if (!configSheet) {
+    Logger.log(`[${state.runId}] Configuration sheet missing; abandoning the weekly extraction run.`);
+    finishRunRecord(state.run, 'Failed', 'Configuration sheet missing.');
+    clearWeeklyExtractionRunState();
+    return 'Weekly extraction failed: the configuration sheet is missing.';
+  }
+
+  let weeklySheet = spreadsheet.getSheetByName(WEEKLY_SHEET_NAME);
+  if (!weeklySheet) {
+    weeklySheet = spreadsheet.insertSheet(WEEKLY_SHEET_NAME);
+    Logger.log(`Created weekly agenda sheet: ${WEEKLY_SHEET_NAME}`);
+  }
+
+  const weekMatcher = buildCalendarAwareWeekMatcher(spreadsheet, new Date(state.mondayIso));
+  Logger.log(`Running weekly extraction for the week of ${state.weekOf}`);
+
+  const configEntries = readPresentationConfig(configSheet);
+  const { profiles, sections } = resolveLayoutProfiles(configEntries);
+  const records = [];
+
+  let index = state.nextIndex;
+  while (index < configEntries.length) {
+    if (Date.now() - chunkStartedAt >= CONSTANTS.EXTRACTION_TIME_BUDGET_MS) {
+      Logger.log(`[${state.runId}] Time budget reached after ${Date.now() - chunkStartedAt} ms; pausing at row ${index + 1}.`);
+      break;
+    }
 
-  const monday = getMondayOfCurrentWeek();
-  const formattedMonday = Utilities.formatDate(monday, Session.getScriptTimeZone(), 'M/d/yyyy');
-  const weekOfText = `WEEK OF ${formattedMonday}`.toUpperCase();
-  const semanaDeText = `SEMANA DE ${formattedMonday}`.toUpperCase();
-  Logger.log(`Searching for slides with English text: "${weekOfText}"`);
-  Logger.log(`Searching for slides with Spanish text: "${semanaDeText}"`);
+    const { presentationId, teacherLastName, className, gradeLevel, profileName } = configEntries[index];
+    index++;
+    if (!presentationId) continue;
+
+    const baseRecord = {
+      'Week Of': state.weekOf,
+      'Teacher Last Name': teacherLastName,
+      'Class Name': className,
+      'Grade Level': gradeLevel,
+      'Layout Profile': profileName,
+      'Presentation ID': presentationId
+    };
+    const profile = profiles[profileName];
+    const days = Object.keys((profile || getLayoutProfile()).days);
 
-  const currentDayBoxes = BOX_COORDINATES[dayOfWeek];
-  const upcomingBox = BOX_COORDINATES['Upcoming'];
+    try {
+      if (!profile) {
+        throw new Error(`Layout profile '${profileName}' is not defined in the LAYOUT_PROFILES setting.`);
+      }
 
-  const configDataRange = configSheet.getRange(2, 1, configSheet.getLastRow() - 1, 4);
-  const configValues = configDataRange.getValues();
+      const presentation = SlidesApp.openById(presentationId);
+      const { slide: agendaSlide, matchedPattern } = findAgendaSlide(presentation, weekMatcher);
+      Logger.log(`Found agenda slide by ${matchedPattern} for ${teacherLastName} - ${className}`);
 
-  if (configValues.length === 0 || configValues[0].every(cell => !cell)) {
-    const errorMessage = 'No presentation IDs found in the configuration sheet.';
-    Logger.log(errorMessage);
-    if (isUiAvailable()) {
-      SpreadsheetApp.getUi().alert(errorMessage);
+      const updatedAt = formatTimestamp(new Date());
+      days.forEach(day => {
+        const boxes = extractAgendaBoxes(agendaSlide, profile, day);
+        records.push(Object.assign({}, baseRecord, { 'Day of Week': day }, boxes.values,
+          { 'Rich Text': boxes.richText, 'Match Strategy': boxes.matchStrategy, 'Status': 'OK', 'Updated At': updatedAt }));
+      });
+      Logger.log(`Processed week for: ${teacherLastName} - ${className}`);
+      countInRunRecord(state.run, 'presentations read');
+
+    } catch (e) {
+      state.errorCount++;
+      addRunError(state.run, `${teacherLastName} - ${className}: ${e.message}`);
+      Logger.log(`Error processing presentation ID ${presentationId} (${teacherLastName}, ${className}): ${e.message}`);
+      days.forEach(day => {
+        records.push(Object.assign({}, baseRecord, { 'Day of Week': day, 'Status': 'Unavailable', 'Error': e.message }));
+      });
     }
-    return;
   }
 
-  Logger.log(`Found ${configValues.length} presentation entries to process.`);
+  writeWeeklyAgendaRows(weeklySheet, state.weekOf, sections, records, state.chunkCount === 0);
+  state.classDays += records.length;
+  state.nextIndex = index;
+  state.chunkCount++;
+
+  if (index < configEntries.length) {
+    saveWeeklyExtractionRunState(state);
+    scheduleWeeklyContinuationTrigger();
+    const pauseMessage = `Weekly extraction for the week of ${state.weekOf} paused after ${index} of ${configEntries.length} rows to stay within the execution time limit. ` +
+      'It will continue automatically in a moment.';
+    Logger.log(`[${state.runId}] ${pauseMessage}`);
+    return pauseMessage;
+  }
 
-  configValues.forEach(row => {
-    const [presentationId, teacherLastName, className, gradeLevel] = row.map(String);
+  clearWeeklyExtractionRunState();
+  const completionMessage = `Week of ${state.weekOf}: extracted ${state.classDays} class days into the "${WEEKLY_SHEET_NAME}" tab` +
+    (state.errorCount > 0 ? ` (${state.errorCount} presentations had errors).` : '.');
+  Logger.log(`[${state.runId}] ${completionMessage}`);
+  countInRunRecord(state.run, 'class days', state.classDays);
+  countInRunRecord(state.run, 'errors', state.errorCount);
+  countInRunRecord(state.run, 'chunks', state.chunkCount);
+  finishRunRecord(state.run);
+  return completionMessage;
+}
 
-    if (!presentationId.trim()) {
-      Logger.log('Skipping empty presentation ID row.');
-      return;
-    }
+/**
+ * Loads the saved state of the weekly extraction run in progress.
+ * @returns {Object|null} The run state, or null if no run is in progress.
+ */
+function loadWeeklyExtractionRunState() {
+  const raw = PropertiesService.getScriptProperties().getProperty(getSchoolPropertyKey(CONSTANTS.WEEKLY_EXTRACTION_STATE_PROPERTY));
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    Logger.log(`Discarding unreadable weekly extraction run state: ${e.message}`);
+    return null;
+  }
+}
 
-    try {
-      const presentation = SlidesApp.openById(presentationId.trim());
-      const slides = presentation.getSlides();
+/**
+ * Saves the state of the weekly extraction run in progress, stamping when it was last checkpointed.
+ * @param {Object} state The run state.
+ */
+function saveWeeklyExtractionRunState(state) {
+  state.updatedAt = Date.now();
+  PropertiesService.getScriptProperties().setProperty(getSchoolPropertyKey(CONSTANTS.WEEKLY_EXTRACTION_STATE_PROPERTY), JSON.stringify(state));
+}
 
-      if (slides.length === 0) {
-        throw new Error("Presentation has no slides.");
-      }
+/**
+ * Clears the saved weekly extraction run state, and the pending continuation trigger unless
+ * another school's weekly run still needs it.
+ */
+function clearWeeklyExtractionRunState() {
+  PropertiesService.getScriptProperties().deleteProperty(getSchoolPropertyKey(CONSTANTS.WEEKLY_EXTRACTION_STATE_PROPERTY));
+  if (!hasPendingWeeklyExtractionRuns()) {
+    deleteWeeklyContinuationTriggers();
+  }
+}
 
-      let agendaSlide = null;
-      let matchedPattern = '';
-      for (const slide of slides) {
-        const shapes = slide.getShapes();
-        for (const shape of shapes) {
-          const shapeText = shape.getText().asString().toUpperCase();
-          if (shapeText.includes(weekOfText)) {
-            agendaSlide = slide;
-            matchedPattern = 'English (WEEK OF)';
-            break;
-          } else if (shapeText.includes(semanaDeText)) {
-            agendaSlide = slide;
-            matchedPattern = 'Spanish (SEMANA DE)';
-            break;
-          }
-        }
-        if (agendaSlide) {
-          break;
-        }
-      }
+/**
+ * Checks whether an unfinished weekly extraction run is still expected to be resumed.
+ * Runs that have not checkpointed within CONSTANTS.EXTRACTION_RUN_STALE_MS are treated as abandoned.
+ * @returns {boolean} True if a recent run is waiting on its continuation trigger.
+ */
+function isWeeklyExtractionRunInProgress() {
+  const state = loadWeeklyExtractionRunState();
+  return !!state && (Date.now() - (state.updatedAt || state.startedAt)) < CONSTANTS.EXTRACTION_RUN_STALE_MS;
+}
 
-      if (!agendaSlide) {
-        throw new Error(`Slide not found with either "${weekOfText}" or "${semanaDeText}".`);
-      }
-      
-      Logger.log(`Found agenda slide using ${matchedPattern} pattern for ${teacherLastName.trim()} - ${className.trim()}`);
-
-      const pageElements = agendaSlide.getPageElements();
-      let topBoxText = 'N/A', midBoxText = 'N/A', botBoxText = 'N/A', upcomingText = 'N/A';
-      const tolerance = CONSTANTS.TOLERANCE;
-
-      const matchesBox = (shape, targetBox, boxType = '') => {
-        const xDiff = Math.abs(shape.getLeft() - targetBox.x);
-        const yDiff = Math.abs(shape.getTop() - targetBox.y);
-        const wDiff = Math.abs(shape.getWidth() - targetBox.width);
-        const hDiff = Math.abs(shape.getHeight() - targetBox.height);
-        const matches = xDiff < tolerance && yDiff < tolerance && wDiff < tolerance && hDiff < tolerance;
-        
-        // Debug logging for Tuesday practice work specifically
-        if (dayOfWeek === 'Tuesday' && boxType === 'bottom') {
-          Logger.log(`=== TUESDAY PRACTICE WORK DEBUG ===`);
-          Logger.log(`Shape: (${shape.getLeft()}, ${shape.getTop()}) ${shape.getWidth()}x${shape.getHeight()}`);
-          Logger.log(`Target: (${targetBox.x}, ${targetBox.y}) ${targetBox.width}x${targetBox.height}`);
-          Logger.log(`Differences: X=${xDiff}, Y=${yDiff}, W=${wDiff}, H=${hDiff} (tolerance=${tolerance})`);
-          Logger.log(`Matches: ${matches}`);
-        }
-        
-        return matches;
-      };
-
-      pageElements.forEach(element => {
-        if (element.getPageElementType() === SlidesApp.PageElementType.SHAPE) {
-          const shape = element.asShape();
-          const textRange = shape.getText();
-          if (textRange.isEmpty()) return;
-
-          const cellValue = extractTextWithAllLinks(textRange);
-          const shapeText = textRange.asString().trim();
-
-          // Debug logging for Tuesday shapes with content
-          if (dayOfWeek === 'Tuesday' && shapeText !== '' && shapeText !== '...') {
-            Logger.log(`=== TUESDAY SHAPE WITH CONTENT ===`);
-            Logger.log(`Text: "${shapeText}"`);
-            Logger.log(`Position: (${shape.getLeft()}, ${shape.getTop()})`);
-            Logger.log(`Size: ${shape.getWidth()}x${shape.getHeight()}`);
-          }
+/**
+ * Schedules the one-off trigger that resumes a paused weekly extraction run.
+ */
+function scheduleWeeklyContinuationTrigger() {
+  deleteWeeklyContinuationTriggers();
+  ScriptApp.newTrigger('resumeWeeklyExtractionTrigger')
+    .timeBased()
+    .after(CONSTANTS.CONTINUATION_TRIGGER_DELAY_MS)
+    .create();
+}
 
-          if (matchesBox(shape, currentDayBoxes.top, 'top')) topBoxText = cellValue;
-          else if (matchesBox(shape, currentDayBoxes.middle, 'middle')) midBoxText = cellValue;
-          else if (matchesBox(shape, currentDayBoxes.bottom, 'bottom')) botBoxText = cellValue;
-          else if (matchesBox(shape, upcomingBox, 'upcoming')) upcomingText = cellValue;
-        }
-      });
+/**
+ * Deletes any weekly continuation triggers left from earlier chunks.
+ */
+function deleteWeeklyContinuationTriggers() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === 'resumeWeeklyExtractionTrigger')
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+}
 
-      // Debug logging for Tuesday final results
-      if (dayOfWeek === 'Tuesday') {
-        Logger.log(`=== TUESDAY FINAL RESULTS ===`);
-        Logger.log(`Turn In (top): "${topBoxText}"`);
-        Logger.log(`Activities (middle): "${midBoxText}"`);
-        Logger.log(`Practice Work (bottom): "${botBoxText}"`);
-        Logger.log(`Upcoming: "${upcomingText}"`);
-      }
+/**
+ * Replaces one week's rows in the weekly agenda sheet, or adds to them, keeping the other recent weeks.
+ * Kept rows are realigned to the new header (formulas preserved) and the 'Week Of' column is
+ * stored as plain text so Sheets does not convert it to a date.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} weeklySheet The weekly agenda sheet.
+ * @param {string} weekOf The week's Monday in YYYY-MM-DD format.
+ * @param {Array<string>} sections The union of section names for this extraction.
+ * @param {Array<Object.<string, string>>} records The extracted rows keyed by header.
+ * @param {boolean} replaceWeek If true, the week's existing rows are dropped; otherwise the
+ * records are added after them.
+ */
+function writeWeeklyAgendaRows(weeklySheet, weekOf, sections, records, replaceWeek) {
+  const headers = ['Week Of'].concat(buildAgendaHeaders(sections));
+  const rows = [];
+
+  if (weeklySheet.getLastRow() > 1) {
+    const range = weeklySheet.getDataRange();
+    const values = range.getValues();
+    const formulas = range.getFormulas();
+    const existingHeaders = trimHeaderRow(values[0]);
 
-      dataSheet.appendRow([
-        teacherLastName.trim(), className.trim(), dayOfWeek, topBoxText, midBoxText,
-        botBoxText, upcomingText, gradeLevel.trim()
-      ]);
-      Logger.log(`Processed: ${teacherLastName.trim()} - ${className.trim()} for ${dayOfWeek}`);
+    // Keep columns for sections that only older weeks used
+    existingHeaders.forEach(header => {
+      if (header && headers.indexOf(header) === -1) headers.splice(headers.indexOf('Upcoming'), 0, header);
+    });
 
-    } catch (e) {
-      Logger.log(`Error processing presentation ID ${presentationId.trim()} (${teacherLastName.trim()}, ${className.trim()}): ${e.message}`);
-      dataSheet.appendRow([
-        teacherLastName.trim(), className.trim(), dayOfWeek, 'ERROR', 'ERROR', 'ERROR', 'ERROR',
-        gradeLevel.trim(), `Error: ${e.message}`
-      ]);
+    const keptWeeks = [];
+    for (let i = 1; i < values.length; i++) {
+      const rowWeek = normalizeDateToString(values[i][0]);
+      if (!rowWeek || rowWeek === weekOf) continue;
+      if (keptWeeks.indexOf(rowWeek) === -1) keptWeeks.push(rowWeek);
     }
-  });
+    keptWeeks.sort().reverse();
+    const weeksToKeep = keptWeeks.slice(0, Math.max(getSetting('WEEKLY_WEEKS_TO_KEEP') - 1, 0));
 
-  const completionMessage = 'Data for ' + dayOfWeek + ' has been extracted and compiled into the "' + DATA_SHEET_NAME + '" tab.';
-  Logger.log('Hourly extraction complete - data updated in Current_Day_Agendas tab (archiving handled by separate daily trigger)');
-  Logger.log(completionMessage);
-  
-  if (isUiAvailable()) {
-    SpreadsheetApp.getUi().alert(
-      'Daily Agenda Extraction Complete!',
-      completionMessage,
-      SpreadsheetApp.getUi().ButtonSet.OK
-    );
+    for (let i = 1; i < values.length; i++) {
+      const rowWeek = normalizeDateToString(values[i][0]);
+      if (weeksToKeep.indexOf(rowWeek) === -1 && (replaceWeek || rowWeek !== weekOf)) continue;
+      rows.push(headers.map(header => {
+        if (header === 'Week Of') return rowWeek;
+        const j = existingHeaders.indexOf(header);
+        return j === -1 ? '' : toSheetCell(values[i][j], formulas[i][j]);
+      }));
+    }
+  }
+
+  records.forEach(record => rows.push(buildAgendaRow(headers, record)));
+
+  if (rows.length > 0) {
+    ensureSheetSize(weeklySheet, rows.length + 1, 1);
+    weeklySheet.getRange(2, 1, rows.length, 1).setNumberFormat('@');
   }
+  publishAgendaRows(weeklySheet, [headers].concat(rows));
+  weeklySheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
 }
 
 // --- NEW TESTING FUNCTIONS ---
@@ -351,44 +1465,6 @@ function testArchiveDateRetrieval() {
   Logger.log('=== Archive Date Retrieval Test Complete ===');
 }
 
-/**
- * Helper function to set up the required triggers programmatically.
- * Run this once to set up both the hourly extraction and daily archive triggers.
- * 
- * IMPORTANT: You need to set up two triggers:
- * 1. Hourly trigger for runDailyExtractionTrigger() - runs every hour during business hours
- * 2. Daily trigger for runDailyArchiveTrigger() - runs once daily at 11:30 PM
- * 
- * These should be set up in the Google Apps Script trigger interface, not through code,
- * for better reliability and management.
- */
-function setupTriggersInstructions() {
-  const message = `
-  To complete the setup, you need to configure two triggers in Google Apps Script:
-  
-  1. HOURLY EXTRACTION TRIGGER:
-     - Function: runDailyExtractionTrigger
-     - Event: Time-driven, Hour timer, Every hour
-     - Time: During business hours (e.g., 6 AM to 6 PM)
-     - This extracts fresh data from slides every hour
-  
-  2. DAILY ARCHIVE TRIGGER:  
-     - Function: runDailyArchiveTrigger
-     - Event: Time-driven, Day timer, Every day
-     - Time: 11:30 PM (or desired end-of-day time)
-     - This archives the final version once per day
-  
-  This setup ensures:
-  - Teachers can update agendas throughout the day
-  - Only final versions get archived (no duplicates)
-  - Current day view stays updated hourly
-  `;
-  
-  Logger.log(message);
-  if (isUiAvailable()) {
-    SpreadsheetApp.getUi().alert('Trigger Setup Instructions', message, SpreadsheetApp.getUi().ButtonSet.OK);
-  }
-}
 // --- END NEW TESTING FUNCTIONS ---
 
 
@@ -399,7 +1475,7 @@ function setupTriggersInstructions() {
  * @returns {GoogleAppsScript.Spreadsheet.Sheet} The archive sheet
  */
 function getOrCreateArchiveSheet(date) {
-  const SPREADSHEET_ID = CONSTANTS.SPREADSHEET_ID;
+  const SPREADSHEET_ID = getSetting('SPREADSHEET_ID');
   const ARCHIVE_SHEET_PREFIX = CONSTANTS.ARCHIVE_SHEET_PREFIX;
   
   const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
@@ -412,33 +1488,113 @@ function getOrCreateArchiveSheet(date) {
   if (!archiveSheet) {
     archiveSheet = spreadsheet.insertSheet(archiveSheetName);
     
-    archiveSheet.appendRow([
-      'Date', 'Teacher Last Name', 'Class Name', 'Day of Week', 'Turn In', 
-      'Activities', 'Practice Work', 'Upcoming', 'Grade Level'
-    ]);
+    const headers = ['Date'].concat(buildAgendaHeaders(getLayoutProfile().sections));
+    archiveSheet.appendRow(headers);
     
-    const headerRange = archiveSheet.getRange(1, 1, 1, 9);
+    const headerRange = archiveSheet.getRange(1, 1, 1, headers.length);
     headerRange.setFontWeight('bold');
     headerRange.setBackground('#f0f0f0');
     
     Logger.log(`Created new archive sheet: ${archiveSheetName}`);
   }
   
+  // Keep dates as the 'YYYY-MM-DD' text written, rather than letting Sheets convert them to dates
+  archiveSheet.getRange('A:A').setNumberFormat('@');
+  
   return archiveSheet;
 }
 
+/**
+ * Converts a header row to strings, dropping the blank cells after the last header.
+ * @param {Array<*>} headerRow The first row of a sheet's data range.
+ * @returns {Array<string>} The header labels.
+ */
+function trimHeaderRow(headerRow) {
+  const headers = headerRow.map(header => String(header == null ? '' : header));
+  while (headers.length > 0 && headers[headers.length - 1] === '') {
+    headers.pop();
+  }
+  return headers;
+}
+
+/**
+ * Makes sure an archive sheet has a column for every header of the data sheet,
+ * appending any missing headers (such as a section from a new layout profile) to the right.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} archiveSheet The archive sheet.
+ * @param {Array<string>} dataHeaders The header row of the Current_Day_Agendas sheet.
+ * @returns {Array<string>} The archive sheet's header row after any additions.
+ */
+function ensureArchiveHeaders(archiveSheet, dataHeaders) {
+  const archiveHeaders = trimHeaderRow(archiveSheet.getRange(1, 1, 1, archiveSheet.getLastColumn()).getValues()[0]);
+  const missing = dataHeaders.filter(header => header && archiveHeaders.indexOf(header) === -1);
+
+  if (missing.length > 0) {
+    const headerRange = archiveSheet.getRange(1, archiveHeaders.length + 1, 1, missing.length);
+    headerRange.setValues([missing]);
+    headerRange.setFontWeight('bold');
+    headerRange.setBackground('#f0f0f0');
+    Logger.log(`Added columns to ${archiveSheet.getName()}: ${missing.join(', ')}`);
+  }
+
+  return archiveHeaders.concat(missing);
+}
+
+/**
+ * Converts Current_Day_Agendas rows into archive rows aligned to the archive sheet's header.
+ * Formulas (e.g., HYPERLINK) are preserved. Values beyond the data sheet's header,
+ * such as extraction error details, are kept after the aligned columns.
+ * @param {Array<Array<*>>} values The data sheet values, including the header row.
+ * @param {Array<Array<string>>} formulas The data sheet formulas, including the header row.
+ * @param {Array<string>} archiveHeaders The archive sheet's header row.
+ * @param {string} dateString The archive date in YYYY-MM-DD format.
+ * @returns {Array<Array<*>>} The archive rows, without a header row.
+ */
+function buildArchiveRows(values, formulas, archiveHeaders, dateString) {
+  const dataHeaders = trimHeaderRow(values[0]);
+  const rows = [];
+
+  for (let i = 1; i < values.length; i++) {
+    const cellFor = (j) => toSheetCell(values[i][j], formulas[i][j]);
+
+    const archiveRow = archiveHeaders.map(header => {
+      if (header === 'Date') return dateString;
+      const j = dataHeaders.indexOf(header);
+      return j === -1 ? '' : cellFor(j);
+    });
+
+    const extras = values[i].slice(dataHeaders.length).map((value, k) => cellFor(dataHeaders.length + k));
+    if (extras.some(value => value !== '')) {
+      archiveRow.push(...extras);
+    }
+    rows.push(archiveRow);
+  }
+
+  return rows;
+}
+
+/**
+ * Archives current day data from the menu. Waits briefly for any extraction run to finish
+ * (see Locking.js) so a half-written data sheet is never archived, and skips the run if it does not.
+ */
+function archiveCurrentDayDataOnly() {
+  runWithScriptLock('Daily archive', 'menu', CONSTANTS.LOCK_WAIT_MS.manual, () => archiveCurrentDayDataUnlocked('menu'));
+}
+
 /**
  * Archives current day data for end-of-day archiving only.
  * This function includes safety checks to prevent duplicate archiving and
- * should be called by the daily archive trigger.
+ * should be called by the daily archive trigger. The caller must hold the script lock.
+ * @param {string} source What started the archive, for the run history.
  */
-function archiveCurrentDayDataOnly() {
-  const SPREADSHEET_ID = CONSTANTS.SPREADSHEET_ID;
-  const DATA_SHEET_NAME = CONSTANTS.DATA_SHEET_NAME;
+function archiveCurrentDayDataUnlocked(source) {
+  const SPREADSHEET_ID = getSetting('SPREADSHEET_ID');
+  const DATA_SHEET_NAME = getSetting('DATA_SHEET_NAME');
+  const run = startRunRecord('Daily archive', source);
   
   try {
     const today = new Date();
     const dateString = normalizeDateToString(today);
+    const timer = createRunTimer('Daily archive');
     
     Logger.log(`Starting daily archive process for ${dateString}`);
     
@@ -447,6 +1603,7 @@ function archiveCurrentDayDataOnly() {
     
     if (!dataSheet) {
       Logger.log(`Warning: Data sheet '${DATA_SHEET_NAME}' not found for archiving.`);
+      finishRunRecord(run, 'Failed', `Data sheet '${DATA_SHEET_NAME}' not found.`);
       return;
     }
     
@@ -455,52 +1612,39 @@ function archiveCurrentDayDataOnly() {
     
     if (values.length <= 1) {
       Logger.log('No data to archive (only headers present).');
+      finishRunRecord(run, 'Nothing to do');
       return;
     }
     
     // Check if we've already archived data for today to prevent duplicates
     const archiveSheet = getOrCreateArchiveSheet(today);
-    const archiveRange = archiveSheet.getDataRange();
-    const archiveValues = archiveRange.getValues();
-    
-    // Check if today's data already exists in archive
-    let alreadyArchived = false;
-    for (let i = 1; i < archiveValues.length; i++) {
-      if (archiveValues[i][0] === dateString) {
-        alreadyArchived = true;
-        break;
-      }
-    }
     
-    if (alreadyArchived) {
+    if (isDateArchived(spreadsheet, dateString)) {
       Logger.log(`Data for ${dateString} has already been archived today. Skipping to prevent duplicates.`);
+      finishRunRecord(run, 'Nothing to do');
       return;
     }
     
     // Proceed with archiving
     const formulas = dataRange.getFormulas();
     
-    for (let i = 1; i < values.length; i++) {
-      const rowValues = values[i];
-      const rowFormulas = formulas[i];
-      
-      const archiveRow = [dateString];
-      
-      for (let j = 0; j < rowValues.length; j++) {
-        if (rowFormulas[j]) {
-          archiveRow.push(rowFormulas[j]);
-        } else {
-          archiveRow.push(rowValues[j]);
-        }
-      }
-      
-      archiveSheet.appendRow(archiveRow);
-    }
+    const archiveHeaders = ensureArchiveHeaders(archiveSheet, trimHeaderRow(values[0]));
+    const archiveRows = buildArchiveRows(values, formulas, archiveHeaders, dateString);
+    timer.mark('read and duplicate check');
+    
+    const firstRow = archiveSheet.getLastRow() + 1;
+    writeRowsInBatch(archiveSheet, firstRow, archiveRows);
+    recordArchiveIndexEntry(spreadsheet, dateString, archiveSheet.getName(), firstRow, archiveRows.length);
+    timer.mark(`archive write (1 range write, ${archiveRows.length} rows)`);
     
     Logger.log(`Successfully archived ${values.length - 1} rows for ${dateString}`);
+    Logger.log(timer.summary());
+    countInRunRecord(run, 'rows archived', archiveRows.length);
+    finishRunRecord(run);
     
   } catch (e) {
     Logger.log(`Error in daily archive process: ${e.message}`);
+    finishRunRecord(run, 'Failed', e.message);
   }
 }
 
@@ -511,8 +1655,8 @@ function archiveCurrentDayDataOnly() {
  * @deprecated This function is kept for backward compatibility but should not be used for regular operations
  */
 function archiveCurrentDayData(date) {
-  const SPREADSHEET_ID = CONSTANTS.SPREADSHEET_ID;
-  const DATA_SHEET_NAME = CONSTANTS.DATA_SHEET_NAME;
+  const SPREADSHEET_ID = getSetting('SPREADSHEET_ID');
+  const DATA_SHEET_NAME = getSetting('DATA_SHEET_NAME');
   
   try {
     const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
@@ -535,22 +1679,12 @@ function archiveCurrentDayData(date) {
     const archiveSheet = getOrCreateArchiveSheet(date);
     const dateString = normalizeDateToString(date);
     
-    for (let i = 1; i < values.length; i++) {
-      const rowValues = values[i];
-      const rowFormulas = formulas[i];
-      
-      const archiveRow = [dateString];
-      
-      for (let j = 0; j < rowValues.length; j++) {
-        if (rowFormulas[j]) {
-          archiveRow.push(rowFormulas[j]);
-        } else {
-          archiveRow.push(rowValues[j]);
-        }
-      }
-      
-      archiveSheet.appendRow(archiveRow);
-    }
+    const archiveHeaders = ensureArchiveHeaders(archiveSheet, trimHeaderRow(values[0]));
+    const archiveRows = buildArchiveRows(values, formulas, archiveHeaders, dateString);
+    
+    const firstRow = archiveSheet.getLastRow() + 1;
+    writeRowsInBatch(archiveSheet, firstRow, archiveRows);
+    recordArchiveIndexEntry(spreadsheet, dateString, archiveSheet.getName(), firstRow, archiveRows.length);
     
     Logger.log(`Archived ${values.length - 1} rows to archive sheet for ${dateString}`);
     
@@ -561,28 +1695,42 @@ function archiveCurrentDayData(date) {
 
 /**
  * Normalizes date values to YYYY-MM-DD string format for consistent comparison.
+ * Strings are read by their written fields ("2025-09-01", "2025-9-1", "9/1/2025"), so they never
+ * shift to another day; Date objects (such as cells Sheets converted to dates) are read in the
+ * given time zone, which should be the time zone of the spreadsheet they came from.
  * @param {Date|string|number} dateValue The date value to normalize
+ * @param {string} [timeZone] The time zone to read Date objects in; defaults to the script's.
  * @returns {string|null} The date in YYYY-MM-DD format, or null if invalid
  */
-function normalizeDateToString(dateValue) {
+function normalizeDateToString(dateValue, timeZone) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const fromParts = (year, month, day) => {
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+    return `${year}-${pad(month)}-${pad(day)}`;
+  };
+
   try {
     let date;
     
     if (dateValue instanceof Date) {
       date = dateValue;
     } else if (typeof dateValue === 'string') {
-      // Handle various string formats
-      if (dateValue.includes('/')) {
-        // Handle formats like "9/1/2025" or "09/01/2025"
-        date = new Date(dateValue);
-      } else if (dateValue.match(/^\d{4}-\d{2}-\d{2}$/)) {
-        // Already in YYYY-MM-DD format
-        return dateValue;
-      } else {
-        date = new Date(dateValue);
-      }
+      const text = dateValue.trim();
+      // "2025-09-01", "2025-9-1", or an ISO timestamp whose date part is the day meant
+      const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:$|[T ])/);
+      if (iso) return fromParts(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+      // "9/1/2025" or "09/01/25" (month first)
+      const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+      if (us) return fromParts(Number(us[3].length === 2 ? '20' + us[3] : us[3]), Number(us[1]), Number(us[2]));
+      if (!text) return null;
+      date = new Date(text);
     } else if (typeof dateValue === 'number') {
-      // Excel serial date number
+      // Small numbers are spreadsheet serial days (counted from 1899-12-30); larger ones are timestamps
+      if (dateValue < 1000000) {
+        const serial = new Date(Date.UTC(1899, 11, 30) + Math.floor(dateValue) * 24 * 60 * 60 * 1000);
+        return fromParts(serial.getUTCFullYear(), serial.getUTCMonth() + 1, serial.getUTCDate());
+      }
       date = new Date(dateValue);
     } else {
       return null;
@@ -592,11 +1740,7 @@ function normalizeDateToString(dateValue) {
       return null;
     }
     
-    // Format as YYYY-MM-DD
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+    return Utilities.formatDate(date, timeZone || Session.getScriptTimeZone(), 'yyyy-MM-dd');
     
   } catch (e) {
     Logger.log(`Error normalizing date value: ${dateValue}, Error: ${e.message}`);
@@ -605,82 +1749,77 @@ function normalizeDateToString(dateValue) {
 }
 
 /**
- * Retrieves archived agenda data for a specific date.
+ * Retrieves a school's archived agenda data for a specific date. Called by the web app.
  * @param {string} dateString The date in 'YYYY-MM-DD' format
+ * @param {string} [schoolId] The school the page was opened for; blank selects the first school.
  * @returns {Object} An object containing the archived data or error
  */
-function getArchivedDataForDate(dateString) {
-  const SPREADSHEET_ID = CONSTANTS.SPREADSHEET_ID;
-  const ARCHIVE_SHEET_PREFIX = CONSTANTS.ARCHIVE_SHEET_PREFIX;
+function getArchivedDataForDate(dateString, schoolId) {
+  return runForWebSchool(schoolId, () => fetchArchivedDataForDate(dateString));
+}
+
+/**
+ * Searches a school's archived and current agendas. Called by the web app's search panel.
+ * @param {Object} criteria The keywords and filters (see fetchAgendaSearchResults in ArchiveSearch.js).
+ * @param {string} [schoolId] The school the page was opened for; blank selects the first school.
+ * @returns {Object} An object with the ranked matches ('payload') or an 'error'.
+ */
+function searchAgendas(criteria, schoolId) {
+  return runForWebSchool(schoolId, () => fetchAgendaSearchResults(criteria));
+}
+
+/**
+ * Retrieves archived agenda data for a specific date from the spreadsheet of the school being run.
+ * @param {string} dateString The date in 'YYYY-MM-DD' format
+ * @returns {Object} An object containing the archived data or error
+ */
+function fetchArchivedDataForDate(dateString) {
+  const SPREADSHEET_ID = getSetting('SPREADSHEET_ID');
+  const run = startRunRecord('Web: archived agendas', 'web app');
   
   try {
-    // Extract year and month directly from YYYY-MM-DD string to avoid timezone issues
-    const dateParts = dateString.match(/^(\d{4})-(\d{2})-(\d{2})$/);
-    if (!dateParts) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
       throw new Error(`Invalid date format. Expected YYYY-MM-DD, got: ${dateString}`);
     }
     
-    const year = dateParts[1];
-    const month = dateParts[2];
-    const archiveSheetName = `${ARCHIVE_SHEET_PREFIX}${year}_${month}`;
-    
-    Logger.log(`Parsing date: ${dateString} -> Year: ${year}, Month: ${month}`);
-    Logger.log(`Looking for archive sheet: ${archiveSheetName}`);
-    
+    // The archive index points at the day's rows, so only those rows are read (see ArchiveIndex.js);
+    // days of rolled-over school years are read from their archive spreadsheet (see ArchiveRollover.js)
     const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
-    const archiveSheet = spreadsheet.getSheetByName(archiveSheetName);
-    if (!archiveSheet) {
-      Logger.log(`Archive sheet "${archiveSheetName}" not found. Available sheets: ${spreadsheet.getSheets().map(s => s.getName()).join(', ')}`);
-      return { payload: [] };
-    }
-    
-    Logger.log(`Successfully found archive sheet: ${archiveSheetName}`);
-    
-    const range = archiveSheet.getDataRange();
-    const values = range.getValues();
-    const formulas = range.getFormulas();
-    
-    if (values.length <= 1) {
+    const blocks = readArchivedRowsAcrossArchives(spreadsheet, dateString);
+    if (blocks.length === 0) {
+      Logger.log(`No archived rows found for ${dateString}`);
+      finishRunRecord(run, 'Nothing to do');
       return { payload: [] };
     }
     
-    const headers = values[0];
     const data = [];
-    const targetDate = normalizeDateToString(dateString);
-    
-    Logger.log(`Searching for archived data for date: ${dateString} (normalized: ${targetDate})`);
-    Logger.log(`Archive sheet ${archiveSheetName} has ${values.length - 1} data rows`);
-    
-    for (let i = 1; i < values.length; i++) {
-      const currentRowValues = values[i];
-      const currentRowFormulas = formulas[i];
-      const rowDate = normalizeDateToString(currentRowValues[0]);
-      
-      // Debug logging for first few rows
-      if (i <= 3) {
-        Logger.log(`Row ${i}: Original date value: ${currentRowValues[0]}, Type: ${typeof currentRowValues[0]}, Normalized: ${rowDate}`);
-      }
-      
-      if (rowDate === targetDate) {
-        Logger.log(`Found matching date at row ${i}: ${currentRowValues[0]} -> ${rowDate}`);
+    blocks.forEach(block => {
+      const headers = block.headers;
+      block.values.forEach((currentRowValues, i) => {
+        const currentRowFormulas = block.formulas[i];
         const obj = {};
         
         for (let j = 1; j < headers.length; j++) {
+          if (!isWebVisibleHeader(headers[j])) continue;
           const cleanedHeader = headers[j].replace(/[^a-zA-Z0-9]/g, '');
           if (currentRowFormulas[j]) {
             obj[cleanedHeader] = currentRowFormulas[j];
           } else {
-            obj[cleanedHeader] = currentRowValues[j];
+            obj[cleanedHeader] = formatCellForWeb(headers[j], currentRowValues[j]);
           }
         }
         data.push(obj);
-      }
-    }
+      });
+    });
     
-    return { payload: data };
+    Logger.log(`Found ${data.length} archived rows for ${dateString}`);
+    countInRunRecord(run, 'rows', data.length);
+    finishRunRecord(run);
+    return { payload: data, sections: getSectionColumns(blocks[0].headers) };
     
   } catch (e) {
     Logger.log(`Error retrieving archived data for ${dateString}: ${e.message}`);
+    finishRunRecord(run, 'Failed', e.message);
     return { error: `Failed to fetch archived data: ${e.message}` };
   }
 }
@@ -691,7 +1830,7 @@ function getArchivedDataForDate(dateString) {
  * @param {string} archiveSheetName Optional specific archive sheet name to inspect
  */
 function debugArchiveDateFormats(archiveSheetName) {
-  const SPREADSHEET_ID = CONSTANTS.SPREADSHEET_ID;
+  const SPREADSHEET_ID = getSetting('SPREADSHEET_ID');
   const ARCHIVE_SHEET_PREFIX = CONSTANTS.ARCHIVE_SHEET_PREFIX;
   
   try {
@@ -720,7 +1859,7 @@ function debugArchiveDateFormats(archiveSheetName) {
       // Inspect first 5 date values
       for (let i = 1; i < Math.min(6, values.length); i++) {
         const dateValue = values[i][0];
-        const normalized = normalizeDateToString(dateValue);
+        const normalized = normalizeDateToString(dateValue, spreadsheet.getSpreadsheetTimeZone());
         Logger.log(`  Row ${i}: "${dateValue}" (${typeof dateValue}) -> normalized: "${normalized}"`);
         
         if (dateValue instanceof Date) {
@@ -731,7 +1870,7 @@ function debugArchiveDateFormats(archiveSheetName) {
       // Show unique date values in column A
       const uniqueDates = new Set();
       for (let i = 1; i < values.length; i++) {
-        const normalized = normalizeDateToString(values[i][0]);
+        const normalized = normalizeDateToString(values[i][0], spreadsheet.getSpreadsheetTimeZone());
         if (normalized) uniqueDates.add(normalized);
       }
       Logger.log(`  Unique normalized dates: ${Array.from(uniqueDates).sort().join(', ')}`);
@@ -743,34 +1882,16 @@ function debugArchiveDateFormats(archiveSheetName) {
 }
 
 /**
- * Gets a list of all available archive dates.
+ * Gets a list of all available archive dates, from the archive index (see ArchiveIndex.js) of the
+ * live spreadsheet and of each rolled-over school year (see ArchiveRollover.js).
  * @returns {Array<string>} Array of date strings in 'YYYY-MM-DD' format
  */
 function getAvailableArchiveDates() {
-  const SPREADSHEET_ID = CONSTANTS.SPREADSHEET_ID;
-  const ARCHIVE_SHEET_PREFIX = CONSTANTS.ARCHIVE_SHEET_PREFIX;
+  const SPREADSHEET_ID = getSetting('SPREADSHEET_ID');
   
   try {
     const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
-    const sheets = spreadsheet.getSheets();
-    const dates = new Set();
-    
-    sheets.forEach(sheet => {
-      const sheetName = sheet.getName();
-      if (sheetName.startsWith(ARCHIVE_SHEET_PREFIX)) {
-        const range = sheet.getDataRange();
-        const values = range.getValues();
-        
-        for (let i = 1; i < values.length; i++) {
-          const normalizedDate = normalizeDateToString(values[i][0]);
-          if (normalizedDate) {
-            dates.add(normalizedDate);
-          }
-        }
-      }
-    });
-    
-    return Array.from(dates).sort();
+    return listArchivedDatesAcrossArchives(spreadsheet);
     
   } catch (e) {
     Logger.log(`Error getting available archive dates: ${e.message}`);
@@ -781,26 +1902,36 @@ function getAvailableArchiveDates() {
 /**
  * Creates copies of the master presentation for selected staff members.
  * Reads selected rows from the Staff Directory sheet and creates personalized copies.
+ * @returns {string} A summary of the copies created and any errors.
  */
 function createCopiesForSelectedRows() {
-  const SPREADSHEET_ID = CONSTANTS.SPREADSHEET_ID;
-  const STAFF_DIRECTORY_SHEET_NAME = CONSTANTS.STAFF_DIRECTORY_SHEET_NAME;
-  const MASTER_PRESENTATION_ID = CONSTANTS.MASTER_PRESENTATION_ID;
+  const SPREADSHEET_ID = getSetting('SPREADSHEET_ID');
+  const STAFF_DIRECTORY_SHEET_NAME = getSetting('STAFF_DIRECTORY_SHEET_NAME');
+  const MASTER_PRESENTATION_ID = getSetting('MASTER_PRESENTATION_ID');
   const COLUMNS = CONSTANTS.STAFF_DIRECTORY_COLUMNS;
 
   Logger.log('Starting createCopiesForSelectedRows function');
+  const run = startRunRecord('Copy creation', 'menu');
 
   if (MASTER_PRESENTATION_ID === 'REPLACE_WITH_MASTER_PRESENTATION_ID') {
-    SpreadsheetApp.getUi().alert('Error: Master Presentation ID not configured. Please update MASTER_PRESENTATION_ID in Constants.js');
-    return;
+    const errorMessage = 'Error: Master Presentation ID not configured. Please set MASTER_PRESENTATION_ID on the Settings sheet (see "Set Up Settings Sheet")';
+    finishRunRecord(run, 'Failed', errorMessage);
+    if (isUiAvailable()) {
+      SpreadsheetApp.getUi().alert(errorMessage);
+    }
+    return errorMessage;
   }
 
   const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
   const staffSheet = spreadsheet.getSheetByName(STAFF_DIRECTORY_SHEET_NAME);
   
   if (!staffSheet) {
-    SpreadsheetApp.getUi().alert(`Error: Staff Directory sheet '${STAFF_DIRECTORY_SHEET_NAME}' not found.`);
-    return;
+    const errorMessage = `Error: Staff Directory sheet '${STAFF_DIRECTORY_SHEET_NAME}' not found.`;
+    finishRunRecord(run, 'Failed', errorMessage);
+    if (isUiAvailable()) {
+      SpreadsheetApp.getUi().alert(errorMessage);
+    }
+    return errorMessage;
   }
 
   // Better selection handling - try multiple methods
@@ -824,8 +1955,12 @@ function createCopiesForSelectedRows() {
   }
   
   if (!selectedRange) {
-    SpreadsheetApp.getUi().alert('Please select one or more rows in the Staff Directory sheet to create copies for. Make sure you are on the Staff Directory sheet when running this function.');
-    return;
+    const selectionMessage = 'Please select one or more rows in the Staff Directory sheet to create copies for. Make sure you are on the Staff Directory sheet when running this function.';
+    finishRunRecord(run, 'Nothing to do');
+    if (isUiAvailable()) {
+      SpreadsheetApp.getUi().alert(selectionMessage);
+    }
+    return selectionMessage;
   }
 
   Logger.log(`Processing selection: ${selectedRange.getA1Notation()}, rows ${selectedRange.getRow()} to ${selectedRange.getLastRow()}`);
@@ -905,7 +2040,14 @@ function createCopiesForSelectedRows() {
   }
   
   Logger.log(`Final result: ${message}`);
-  SpreadsheetApp.getUi().alert('Staff Directory Copy Creation', message, SpreadsheetApp.getUi().ButtonSet.OK);
+  countInRunRecord(run, 'copies created', processedCount);
+  countInRunRecord(run, 'errors', errorCount);
+  errors.forEach(error => addRunError(run, error));
+  finishRunRecord(run);
+  if (isUiAvailable()) {
+    SpreadsheetApp.getUi().alert('Staff Directory Copy Creation', message, SpreadsheetApp.getUi().ButtonSet.OK);
+  }
+  return message;
 }
 
 /**
@@ -916,7 +2058,7 @@ function createCopiesForSelectedRows() {
  * @returns {Object} Result object with success status and details
  */
 function createPersonalizedCopyForTeacher(firstName, lastName, email) {
-  const MASTER_PRESENTATION_ID = CONSTANTS.MASTER_PRESENTATION_ID;
+  const MASTER_PRESENTATION_ID = getSetting('MASTER_PRESENTATION_ID');
   
   try {
     // Use DriveApp to copy the file (correct method for Google Apps Script)
@@ -986,13 +2128,32 @@ function onOpen() {
   const ui = SpreadsheetApp.getUi();
   const menu = ui.createMenu('Agenda Tools')
     .addItem('Run Daily Agenda Extraction Now', 'extractTextForCurrentDayAgenda')
+    .addItem('Re-read All Presentations Now (Ignore Cache)', 'extractAllAgendasIgnoringCache')
+    .addItem('Re-extract Selected Presentations Now', 'refreshSelectedPresentations')
+    .addItem('Extract This Week\'s Agendas Now', 'extractWeeklyAgendas')
+    .addItem('Run Extraction Debug Report...', 'runSyncDebugReport')
+    .addItem('Validate Presentation IDs', 'validatePresentationConfig')
     .addSeparator()
     .addItem('Archive Current Day Data Now', 'archiveCurrentDayDataOnly')
     .addItem('Test Archive Function', 'testArchiveOnly')
     .addItem('Test Archive Date Retrieval', 'testArchiveDateRetrieval')
     .addItem('Debug Archive Date Formats', 'debugArchiveDateFormats')
+    .addItem('Backfill Missed Archive Days...', 'backfillArchiveDaysFromMenu')
+    .addItem('Rebuild Archive Index', 'rebuildArchiveIndexFromMenu')
+    .addItem('Preview Archive Repair', 'previewArchiveRepair')
+    .addItem('Repair Archive Dates and Duplicates', 'repairArchiveDatesAndDuplicates')
+    .addItem('Roll Over Finished School Years', 'rollOverFinishedSchoolYears')
+    .addItem('View Runs Skipped by Overlap', 'showRecentLockSkips')
+    .addItem('Set Up School Calendar Sheet', 'setUpSchoolCalendarSheet')
+    .addItem('Set Up Schools Sheet', 'setUpSchoolsSheet')
+    .addItem('Set Up Settings Sheet', 'setUpSettingsSheet')
+    .addItem('Validate Settings', 'validateSettings')
     .addSeparator()
-    .addItem('View Trigger Setup Instructions', 'setupTriggersInstructions');
+    .addItem('Open Admin Dashboard', 'showAdminSidebar')
+    .addItem('View Trigger Health', 'showTriggerHealth')
+    .addItem('Repair Triggers', 'repairAgendaTriggers')
+    .addItem('Reinstall Triggers with Current Schedule', 'reinstallAgendaTriggers')
+    .addItem('Remove Agenda Triggers', 'removeAgendaTriggers');
 
   const testSubMenu = ui.createMenu('Run Manual Test As...')
     .addItem('Monday', 'testForMonday')
@@ -1017,9 +2178,9 @@ function onOpen() {
  * This helps troubleshoot issues with the copy creation function.
  */
 function debugStaffDirectorySelection() {
-  const SPREADSHEET_ID = CONSTANTS.SPREADSHEET_ID;
-  const STAFF_DIRECTORY_SHEET_NAME = CONSTANTS.STAFF_DIRECTORY_SHEET_NAME;
-  const MASTER_PRESENTATION_ID = CONSTANTS.MASTER_PRESENTATION_ID;
+  const SPREADSHEET_ID = getSetting('SPREADSHEET_ID');
+  const STAFF_DIRECTORY_SHEET_NAME = getSetting('STAFF_DIRECTORY_SHEET_NAME');
+  const MASTER_PRESENTATION_ID = getSetting('MASTER_PRESENTATION_ID');
   const COLUMNS = CONSTANTS.STAFF_DIRECTORY_COLUMNS;
 
   Logger.log('=== DEBUG: Starting Staff Directory Selection Debug ===');
@@ -1097,41 +2258,105 @@ function debugStaffDirectorySelection() {
 }
 
 /**
- * Serves the HTML file for the web app interface.
+ * Serves the HTML file for the web app interface, branded for the school given by the URL's
+ * 'school' parameter (e.g., ?school=north); without it, the first registered school is shown.
+ * @param {Object} e The request event.
+ * @returns {GoogleAppsScript.HTML.HtmlOutput} The page.
+ */
+function doGet(e) {
+  const schoolId = e && e.parameter ? e.parameter.school : '';
+  const school = findSchool(schoolId);
+  if (!school) {
+    const schoolIds = getSchools().map(candidate => candidate.id).join(', ');
+    return HtmlService.createHtmlOutput(
+      `<p style="font-family: sans-serif">Unknown school. Open this page with ?school= followed by one of: ${schoolIds}.</p>`)
+      .setTitle('Daily Agendas');
+  }
+
+  return withSchool(school, () => {
+    const branding = getSchoolBranding(school);
+    const template = HtmlService.createTemplateFromFile('index');
+    // Read by the page's inline JSON block; '<' is escaped so the data cannot close the tag
+    template.schoolJson = JSON.stringify(branding).replace(/</g, '\\u003c');
+    return template.evaluate().setTitle(`${branding.name} Daily Agendas`);
+  });
+}
+
+/**
+ * Checks whether a sheet column is sent to the web app. Blank and staff-only headers
+ * (such as 'Error') are left out of the payload.
+ * @param {string} header The column header.
+ * @returns {boolean} True if the column belongs in the web payload.
+ */
+function isWebVisibleHeader(header) {
+  return !!header && CONSTANTS.STAFF_ONLY_HEADERS.indexOf(String(header)) === -1;
+}
+
+/**
+ * Converts a sheet value to the string sent to the web app. google.script.run cannot return
+ * Date objects, so dates are formatted in the script's time zone ('Updated At' with its time).
+ * @param {string} header The column header.
+ * @param {*} value The cell value.
+ * @returns {string} The value as a string.
+ */
+function formatCellForWeb(header, value) {
+  if (value instanceof Date) {
+    const format = header === 'Updated At' ? 'M/d/yyyy h:mm a' : 'M/d/yyyy';
+    return Utilities.formatDate(value, Session.getScriptTimeZone(), format);
+  }
+  return (value === null || value === undefined) ? '' : String(value);
+}
+
+/**
+ * Fetches a school's agenda data for the web app (see fetchAgendaData).
+ * @param {string} [schoolId] The school the page was opened for; blank selects the first school.
+ * @returns {Object} An object with the rows ('payload') or an 'error'.
  */
-function doGet() {
-  return HtmlService.createTemplateFromFile('index')
-    .evaluate()
-    .setTitle('Daily Agendas');
+function getAgendaData(schoolId) {
+  return runForWebSchool(schoolId, fetchAgendaData);
 }
 
 /**
- * Fetches the agenda data from the 'Current_Day_Agendas' sheet.
+ * Fetches the agenda data from the 'Current_Day_Agendas' sheet of the school being run.
+ * The response's 'calendarDay' is today's school calendar entry (see SchoolCalendar.js), or
+ * null on a regular school day; on a no-school day no agendas are returned.
  * *** THIS FUNCTION HAS BEEN CORRECTED TO RETURN DATA IN THE EXPECTED FORMAT ***
  */
-function getAgendaData() {
-  const execId = Utilities.getUuid().substring(0, 8);
-  Logger.log(`[${execId}] getAgendaData started`);
+function fetchAgendaData() {
+  const run = startRunRecord('Web: today\'s agendas', 'web app');
+  Logger.log(`[${run.runId}] getAgendaData started`);
 
   try {
     if (typeof CONSTANTS === 'undefined') {
-      Logger.log(`[${execId}] ERROR: CONSTANTS not loaded`);
+      Logger.log(`[${run.runId}] ERROR: CONSTANTS not loaded`);
+      finishRunRecord(run, 'Failed', 'CONSTANTS not loaded');
       return { error: 'Configuration error: CONSTANTS not loaded' };
     }
 
-    const SPREADSHEET_ID = CONSTANTS.SPREADSHEET_ID;
-    const DATA_SHEET_NAME = CONSTANTS.DATA_SHEET_NAME;
+    const SPREADSHEET_ID = getSetting('SPREADSHEET_ID');
+    const DATA_SHEET_NAME = getSetting('DATA_SHEET_NAME');
 
     if (!SPREADSHEET_ID || !DATA_SHEET_NAME) {
-      Logger.log(`[${execId}] ERROR: Missing configuration`);
+      Logger.log(`[${run.runId}] ERROR: Missing configuration`);
+      finishRunRecord(run, 'Failed', 'Missing required constants');
       return { error: 'Configuration error: Missing required constants' };
     }
 
     const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
+
+    // On a no-school day the data sheet still holds the last school day's agendas
+    const calendarDay = getCalendarDay(loadSchoolCalendar(spreadsheet), normalizeDateToString(new Date()));
+    if (calendarDay && calendarDay.noSchool) {
+      Logger.log(`[${run.runId}] No school today (${calendarDay.type})`);
+      finishRunRecord(run, 'Nothing to do');
+      return { payload: [], calendarDay: calendarDay };
+    }
+
     const dataSheet = spreadsheet.getSheetByName(DATA_SHEET_NAME);
 
     if (!dataSheet) {
-      Logger.log(`[${execId}] ERROR: Data sheet not found`);
+      Logger.log(`[${run.runId}] ERROR: Data sheet not found`);
+      finishRunRecord(run, 'Failed', `Data sheet '${DATA_SHEET_NAME}' not found`);
       return { error: `Data sheet '${DATA_SHEET_NAME}' not found` };
     }
 
@@ -1139,8 +2364,9 @@ function getAgendaData() {
     const values = range.getValues();
 
     if (values.length <= 1) {
-      Logger.log(`[${execId}] No data rows found`);
-      return { payload: [] };
+      Logger.log(`[${run.runId}] No data rows found`);
+      finishRunRecord(run, 'Nothing to do');
+      return { payload: [], calendarDay: calendarDay };
     }
 
     const headers = values[0];
@@ -1151,21 +2377,13 @@ function getAgendaData() {
       const currentRowValues = values[i];
 
       headers.forEach((header, j) => {
+        // Staff-only columns such as the extraction error never reach the public page
+        if (!isWebVisibleHeader(header)) return;
         const cleanedHeader = header.replace(/[^a-zA-Z0-9]/g, '');
-        let value = currentRowValues[j];
 
         // Force conversion to string to handle Date objects, numbers, and other non-primitive types
         // that Google Sheets might auto-format (e.g., "3-4" interpreted as a number or date)
-        if (value instanceof Date) {
-          // Convert Date objects to readable string format
-          value = Utilities.formatDate(value, Session.getScriptTimeZone(), 'M/d/yyyy');
-        } else if (value !== null && value !== undefined) {
-          // Convert everything else to string explicitly
-          value = String(value);
-        } else {
-          // Handle null/undefined as empty string
-          value = '';
-        }
+        let value = formatCellForWeb(header, currentRowValues[j]);
 
         // Truncate long error messages to reduce payload size
         if (value.length > 100 && (value.includes('Error:') || value.includes('ERROR'))) {
@@ -1177,16 +2395,89 @@ function getAgendaData() {
       data.push(obj);
     }
 
-    Logger.log(`[${execId}] Successfully processed ${data.length} records`);
-    return { payload: data };
+    Logger.log(`[${run.runId}] Successfully processed ${data.length} records`);
+    countInRunRecord(run, 'rows', data.length);
+    finishRunRecord(run);
+    return { payload: data, sections: getSectionColumns(trimHeaderRow(headers)), calendarDay: calendarDay };
 
   } catch (e) {
-    Logger.log(`[${execId}] ERROR: ${e.message}`);
+    Logger.log(`[${run.runId}] ERROR: ${e.message}`);
+    finishRunRecord(run, 'Failed', e.message);
     return { error: `Failed to fetch agenda data: ${e.message}` };
   }
 }
 
 
+/**
+ * Fetches a school's agendas for one week for the web app's "This Week" view (see fetchWeeklyAgendaData).
+ * @param {string} [weekOf] The week's Monday in 'YYYY-MM-DD' format; defaults to the current week.
+ * @param {string} [schoolId] The school the page was opened for; blank selects the first school.
+ * @returns {Object} An object with the rows ('payload') or an 'error'.
+ */
+function getWeeklyAgendaData(weekOf, schoolId) {
+  return runForWebSchool(schoolId, () => fetchWeeklyAgendaData(weekOf));
+}
+
+/**
+ * Fetches one week's agendas from the weekly agenda sheet of the school being run.
+ * @param {string} [weekOf] The week's Monday in 'YYYY-MM-DD' format; defaults to the current week.
+ * @returns {Object} An object with the rows ('payload'), the section columns ('sections'),
+ * the week ('weekOf') and the school calendar entries of its days ('calendarDays', keyed by
+ * day name), or an 'error'.
+ */
+function fetchWeeklyAgendaData(weekOf) {
+  const SPREADSHEET_ID = getSetting('SPREADSHEET_ID');
+  const WEEKLY_SHEET_NAME = getSetting('WEEKLY_SHEET_NAME');
+  const run = startRunRecord('Web: weekly agendas', 'web app');
+
+  try {
+    const targetWeek = weekOf || normalizeDateToString(getMondayOfCurrentWeek());
+    const spreadsheet = SpreadsheetApp.openById(SPREADSHEET_ID);
+    const calendarDays = getCalendarDaysForWeek(loadSchoolCalendar(spreadsheet), targetWeek);
+    const weeklySheet = spreadsheet.getSheetByName(WEEKLY_SHEET_NAME);
+
+    if (!weeklySheet) {
+      Logger.log(`Weekly agenda sheet '${WEEKLY_SHEET_NAME}' not found.`);
+      finishRunRecord(run, 'Nothing to do');
+      return { payload: [], weekOf: targetWeek, calendarDays: calendarDays };
+    }
+
+    const range = weeklySheet.getDataRange();
+    const values = range.getValues();
+    const formulas = range.getFormulas();
+
+    if (values.length <= 1) {
+      finishRunRecord(run, 'Nothing to do');
+      return { payload: [], weekOf: targetWeek, calendarDays: calendarDays };
+    }
+
+    const headers = trimHeaderRow(values[0]);
+    const data = [];
+
+    for (let i = 1; i < values.length; i++) {
+      if (normalizeDateToString(values[i][0]) !== targetWeek) continue;
+
+      const obj = {};
+      headers.forEach((header, j) => {
+        if (!isWebVisibleHeader(header)) return;
+        const cleanedHeader = header.replace(/[^a-zA-Z0-9]/g, '');
+        obj[cleanedHeader] = formulas[i][j] ? formulas[i][j] : formatCellForWeb(header, values[i][j]);
+      });
+      data.push(obj);
+    }
+
+    Logger.log(`Found ${data.length} weekly rows for the week of ${targetWeek}`);
+    countInRunRecord(run, 'rows', data.length);
+    finishRunRecord(run);
+    return { payload: data, sections: getSectionColumns(headers), weekOf: targetWeek, calendarDays: calendarDays };
+
+  } catch (e) {
+    Logger.log(`Error retrieving weekly agenda data: ${e.message}`);
+    finishRunRecord(run, 'Failed', e.message);
+    return { error: `Failed to fetch weekly agenda data: ${e.message}` };
+  }
+}
+
 /**
  * Simple test function to verify google.script.run communication is working.
  * Returns a basic object to confirm the pipeline is functional.
@@ -1216,8 +2507,8 @@ function testGetAgendaDataOneRecord() {
   Logger.log(`[DIAG1-${execId}] Testing with single record only`);
 
   try {
-    const spreadsheet = SpreadsheetApp.openById(CONSTANTS.SPREADSHEET_ID);
-    const dataSheet = spreadsheet.getSheetByName(CONSTANTS.DATA_SHEET_NAME);
+    const spreadsheet = SpreadsheetApp.openById(getSetting('SPREADSHEET_ID'));
+    const dataSheet = spreadsheet.getSheetByName(getSetting('DATA_SHEET_NAME'));
     const range = dataSheet.getDataRange();
     const values = range.getValues();
 
@@ -1257,8 +2548,8 @@ function testGetAgendaDataNoFormulas() {
   Logger.log(`[DIAG2-${execId}] Testing all records WITHOUT formulas`);
 
   try {
-    const spreadsheet = SpreadsheetApp.openById(CONSTANTS.SPREADSHEET_ID);
-    const dataSheet = spreadsheet.getSheetByName(CONSTANTS.DATA_SHEET_NAME);
+    const spreadsheet = SpreadsheetApp.openById(getSetting('SPREADSHEET_ID'));
+    const dataSheet = spreadsheet.getSheetByName(getSetting('DATA_SHEET_NAME'));
     const range = dataSheet.getDataRange();
     const values = range.getValues();
 
@@ -1303,8 +2594,8 @@ function testGetAgendaDataCount() {
   Logger.log(`[DIAG3-${execId}] Testing with count only`);
 
   try {
-    const spreadsheet = SpreadsheetApp.openById(CONSTANTS.SPREADSHEET_ID);
-    const dataSheet = spreadsheet.getSheetByName(CONSTANTS.DATA_SHEET_NAME);
+    const spreadsheet = SpreadsheetApp.openById(getSetting('SPREADSHEET_ID'));
+    const dataSheet = spreadsheet.getSheetByName(getSetting('DATA_SHEET_NAME'));
     const range = dataSheet.getDataRange();
     const values = range.getValues();
 
@@ -1332,8 +2623,8 @@ function testGetAgendaDataFirstFive() {
   Logger.log(`[DIAG4-${execId}] Testing with first 5 records (WITH formulas)`);
 
   try {
-    const spreadsheet = SpreadsheetApp.openById(CONSTANTS.SPREADSHEET_ID);
-    const dataSheet = spreadsheet.getSheetByName(CONSTANTS.DATA_SHEET_NAME);
+    const spreadsheet = SpreadsheetApp.openById(getSetting('SPREADSHEET_ID'));
+    const dataSheet = spreadsheet.getSheetByName(getSetting('DATA_SHEET_NAME'));
     const range = dataSheet.getDataRange();
     const values = range.getValues();
     const formulas = range.getFormulas();
@@ -1386,8 +2677,8 @@ function testGetAgendaDataFirstN(n) {
   Logger.log(`[DIAG-N-${execId}] Testing with first ${n} records (values only)`);
 
   try {
-    const spreadsheet = SpreadsheetApp.openById(CONSTANTS.SPREADSHEET_ID);
-    const dataSheet = spreadsheet.getSheetByName(CONSTANTS.DATA_SHEET_NAME);
+    const spreadsheet = SpreadsheetApp.openById(getSetting('SPREADSHEET_ID'));
+    const dataSheet = spreadsheet.getSheetByName(getSetting('DATA_SHEET_NAME'));
     const range = dataSheet.getDataRange();
     const values = range.getValues();
 
@@ -1435,8 +2726,8 @@ function inspectRecordSizes() {
   Logger.log(`[INSPECT-${execId}] Inspecting individual record sizes`);
 
   try {
-    const spreadsheet = SpreadsheetApp.openById(CONSTANTS.SPREADSHEET_ID);
-    const dataSheet = spreadsheet.getSheetByName(CONSTANTS.DATA_SHEET_NAME);
+    const spreadsheet = SpreadsheetApp.openById(getSetting('SPREADSHEET_ID'));
+    const dataSheet = spreadsheet.getSheetByName(getSetting('DATA_SHEET_NAME'));
     const range = dataSheet.getDataRange();
     const values = range.getValues();
 
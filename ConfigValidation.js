@@ -0,0 +1,335 @@
+/**
+ * @fileoverview Validation of the Presentation_IDs configuration sheet.
+ * Every edit to the sheet is checked as it is made (see onEdit): presentation links pasted in
+ * place of an ID are replaced by the ID, grade levels written another way ("6th grade", "6",
+ * "Grade 6") are rewritten to the web page's spelling, and malformed or duplicate IDs, unknown
+ * grade levels and unknown layout profiles are flagged with a note on the cell.
+ *
+ * "Validate Presentation IDs" in the menu runs the same checks over the whole sheet and also
+ * opens each presentation, flagging decks the script's account cannot open and decks without
+ * an agenda slide for the current week. When the time limit stops it before every deck is
+ * opened, the next check for the same week continues from the first deck it did not open.
+ */
+
+/**
+ * The number of Presentation_IDs columns that are validated (A through E).
+ * @type {number}
+ */
+const CONFIG_COLUMN_COUNT = 5;
+
+/**
+ * The 1-based Presentation_IDs column of each validated field.
+ * @type {Object.<string, number>}
+ */
+const CONFIG_COLUMNS = {
+  PRESENTATION_ID: 1,
+  TEACHER_LAST_NAME: 2,
+  CLASS_NAME: 3,
+  GRADE_LEVEL: 4,
+  LAYOUT_PROFILE: 5
+};
+
+/**
+ * Reads a presentation ID from a cell that may hold the ID itself or a link to the presentation
+ * (e.g., "https://docs.google.com/presentation/d/<id>/edit#slide=id.p").
+ * @param {*} value The cell value.
+ * @returns {string} The ID, or the trimmed value if it holds no link.
+ */
+function extractPresentationId(value) {
+  const text = String(value == null ? '' : value).trim();
+  const match = text.match(/\/d\/([A-Za-z0-9_-]+)/) || text.match(/[?&]id=([A-Za-z0-9_-]+)/);
+  return match ? match[1] : text;
+}
+
+/**
+ * Checks whether a value looks like a Drive file ID.
+ * @param {string} id The value to check.
+ * @returns {boolean} True if it is made only of ID characters and is long enough to be an ID.
+ */
+function isWellFormedPresentationId(id) {
+  return /^[A-Za-z0-9_-]{25,}$/.test(id);
+}
+
+/**
+ * Finds the web page's spelling of a grade level (the GRADE_LEVELS setting), ignoring case,
+ * spacing and punctuation and accepting the grade number alone (e.g., "6", "Grade 6", "6th grade").
+ * @param {*} value The cell value.
+ * @returns {string|null} The grade level as the web page spells it, '' for a blank cell, or
+ * null if the value is not a known grade level.
+ */
+function normalizeGradeLevel(value) {
+  const text = String(value == null ? '' : value).trim();
+  if (!text) return '';
+
+  const number = (text.match(/\d+/) || [''])[0];
+  for (const gradeLevel of getSetting('GRADE_LEVELS')) {
+    if (normalizeTagPart(gradeLevel) === normalizeTagPart(text)) return gradeLevel;
+    if (number && number === (gradeLevel.match(/\d+/) || [''])[0]) return gradeLevel;
+  }
+  return null;
+}
+
+/**
+ * Runs the checks that need no presentation access over the Presentation_IDs rows.
+ * @param {Array<Array<*>>} rows The sheet's data rows (columns A through E).
+ * @returns {{fixes: Array<{row: number, column: number, from: *, to: string}>,
+ *   issues: Array<{row: number, column: number, message: string}>, rows: Array<Array<*>>}}
+ * The fixes to apply, the problems left after them (row and column are 1-based sheet
+ * positions) and the rows with the fixes applied.
+ */
+function checkPresentationConfigRows(rows) {
+  const fixes = [];
+  const issues = [];
+  const fixedRows = rows.map(row => row.slice());
+  const firstRowById = {};
+
+  fixedRows.forEach((row, i) => {
+    const sheetRow = i + 2;
+    const isBlankRow = row.every(cell => String(cell).trim() === '');
+    if (isBlankRow) return;
+
+    const rawId = String(row[CONFIG_COLUMNS.PRESENTATION_ID - 1]).trim();
+    const id = extractPresentationId(rawId);
+    if (id !== rawId) {
+      fixes.push({ row: sheetRow, column: CONFIG_COLUMNS.PRESENTATION_ID, from: rawId, to: id });
+      row[CONFIG_COLUMNS.PRESENTATION_ID - 1] = id;
+    }
+
+    if (!id) {
+      issues.push({ row: sheetRow, column: CONFIG_COLUMNS.PRESENTATION_ID, message: 'Missing presentation ID; this row is skipped.' });
+    } else if (!isWellFormedPresentationId(id)) {
+      issues.push({ row: sheetRow, column: CONFIG_COLUMNS.PRESENTATION_ID, message: `'${id}' is not a presentation ID or link.` });
+    } else if (firstRowById.hasOwnProperty(id)) {
+      issues.push({ row: sheetRow, column: CONFIG_COLUMNS.PRESENTATION_ID, message: `Duplicate of row ${firstRowById[id]}; the presentation would be listed twice.` });
+    } else {
+      firstRowById[id] = sheetRow;
+    }
+
+    const rawGrade = row[CONFIG_COLUMNS.GRADE_LEVEL - 1];
+    const gradeLevel = normalizeGradeLevel(rawGrade);
+    if (gradeLevel === null) {
+      issues.push({
+        row: sheetRow, column: CONFIG_COLUMNS.GRADE_LEVEL,
+        message: `'${rawGrade}' is not a grade level on the web page (${getSetting('GRADE_LEVELS').join(', ')}); the class would not be shown.`
+      });
+    } else if (gradeLevel === '') {
+      issues.push({ row: sheetRow, column: CONFIG_COLUMNS.GRADE_LEVEL, message: 'Missing grade level; the class would not be shown on the web page.' });
+    } else if (gradeLevel !== rawGrade) {
+      fixes.push({ row: sheetRow, column: CONFIG_COLUMNS.GRADE_LEVEL, from: rawGrade, to: gradeLevel });
+      row[CONFIG_COLUMNS.GRADE_LEVEL - 1] = gradeLevel;
+    }
+
+    const profileName = String(row[CONFIG_COLUMNS.LAYOUT_PROFILE - 1] || '').trim();
+    if (profileName && !getSetting('LAYOUT_PROFILES').hasOwnProperty(profileName)) {
+      issues.push({
+        row: sheetRow, column: CONFIG_COLUMNS.LAYOUT_PROFILE,
+        message: `Layout profile '${profileName}' is not defined in the LAYOUT_PROFILES setting.`
+      });
+    }
+  });
+
+  return { fixes: fixes, issues: issues, rows: fixedRows };
+}
+
+/**
+ * Opens each presentation of the checked rows and looks for the current week's agenda slide,
+ * starting at the given row and wrapping around to the rows before it. Stops before
+ * CONSTANTS.EXTRACTION_TIME_BUDGET_MS runs out.
+ * @param {Array<Array<*>>} rows The data rows with fixes applied.
+ * @param {Object} weekMatcher The current week's header matcher (see buildWeekHeaderMatcher).
+ * @param {number} startedAt When the validation started (ms since the epoch).
+ * @param {number} [startIndex] The index in rows to start at; defaults to 0.
+ * @returns {{issues: Array<{row: number, column: number, message: string}>, checked: number,
+ *   uncheckedRows: Array<number>, resumeIndex: number|null}} The problems found, how many
+ * presentations were opened, the sheet rows of those that were not, and the index in rows to
+ * continue from next time (null if every presentation was opened).
+ */
+function checkPresentationAccess(rows, weekMatcher, startedAt, startIndex) {
+  const issues = [];
+  const checkedIds = {};
+  const uncheckedRows = [];
+  let checked = 0;
+  let resumeIndex = null;
+  const start = startIndex > 0 && startIndex < rows.length ? startIndex : 0;
+
+  for (let k = 0; k < rows.length; k++) {
+    const i = (start + k) % rows.length;
+    const id = String(rows[i][CONFIG_COLUMNS.PRESENTATION_ID - 1]).trim();
+    if (!isWellFormedPresentationId(id) || checkedIds[id]) continue;
+    checkedIds[id] = true;
+
+    if (Date.now() - startedAt >= CONSTANTS.EXTRACTION_TIME_BUDGET_MS) {
+      if (resumeIndex === null) resumeIndex = i;
+      uncheckedRows.push(i + 2);
+      continue;
+    }
+    checked++;
+
+    let presentation;
+    try {
+      presentation = SlidesApp.openById(id);
+    } catch (e) {
+      issues.push({ row: i + 2, column: CONFIG_COLUMNS.PRESENTATION_ID, message: `The script's account cannot open this presentation: ${e.message}` });
+      continue;
+    }
+    try {
+      findAgendaSlide(presentation, weekMatcher);
+    } catch (e) {
+      issues.push({ row: i + 2, column: CONFIG_COLUMNS.PRESENTATION_ID, message: `No agenda slide for the week of ${weekMatcher.weekDates[0]}: ${e.message}` });
+    }
+  }
+
+  return { issues: issues, checked: checked, uncheckedRows: uncheckedRows, resumeIndex: resumeIndex };
+}
+
+/**
+ * Loads the row the next presentation access check starts at. A check stopped by the time
+ * limit continues from its first unopened presentation, within the same week.
+ * @param {string} weekOf The week being checked ('YYYY-MM-DD' of its Monday).
+ * @returns {number} The index in the data rows to start at; 0 to start from the top.
+ */
+function loadConfigCheckCursor(weekOf) {
+  const raw = PropertiesService.getScriptProperties().getProperty(getSchoolPropertyKey(CONSTANTS.CONFIG_CHECK_CURSOR_PROPERTY));
+  if (!raw) return 0;
+  try {
+    const cursor = JSON.parse(raw);
+    return cursor.weekOf === weekOf ? cursor.index : 0;
+  } catch (e) {
+    Logger.log(`Discarding unreadable presentation check cursor: ${e.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Saves where the next presentation access check starts, or clears it once every presentation
+ * has been opened.
+ * @param {string} weekOf The week being checked ('YYYY-MM-DD' of its Monday).
+ * @param {number|null} index The index in the data rows to continue from, or null to clear.
+ */
+function saveConfigCheckCursor(weekOf, index) {
+  const key = getSchoolPropertyKey(CONSTANTS.CONFIG_CHECK_CURSOR_PROPERTY);
+  if (index === null) {
+    PropertiesService.getScriptProperties().deleteProperty(key);
+  } else {
+    PropertiesService.getScriptProperties().setProperty(key, JSON.stringify({ weekOf: weekOf, index: index }));
+  }
+}
+
+/**
+ * Writes the fixes to the sheet and replaces the notes of the given rows with their issues.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Presentation_IDs sheet.
+ * @param {Array<Object>} fixes The fixes from checkPresentationConfigRows.
+ * @param {Array<Object>} issues The issues to note.
+ * @param {number} firstRow The first sheet row whose notes are replaced.
+ * @param {number} rowCount The number of rows whose notes are replaced.
+ * @param {Array<number>} [keepRows] Sheet rows whose notes are left as they are (e.g., rows
+ * whose presentation was not opened this time).
+ */
+function applyPresentationConfigChecks(sheet, fixes, issues, firstRow, rowCount, keepRows) {
+  fixes.forEach(fix => sheet.getRange(fix.row, fix.column).setValue(fix.to));
+  if (rowCount < 1) return;
+
+  const range = sheet.getRange(firstRow, 1, rowCount, CONFIG_COLUMN_COUNT);
+  const keptNotes = keepRows && keepRows.length > 0 ? range.getNotes() : null;
+  const notes = [];
+  for (let i = 0; i < rowCount; i++) {
+    notes.push(keptNotes && keepRows.indexOf(firstRow + i) !== -1 ? keptNotes[i] : new Array(CONFIG_COLUMN_COUNT).fill(''));
+  }
+  issues.forEach(issue => {
+    const note = notes[issue.row - firstRow];
+    if (!note || (keptNotes && keepRows.indexOf(issue.row) !== -1)) return;
+    note[issue.column - 1] = note[issue.column - 1] ? `${note[issue.column - 1]}\n${issue.message}` : issue.message;
+  });
+  range.setNotes(notes);
+}
+
+/**
+ * Reads the Presentation_IDs data rows (columns A through E).
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The Presentation_IDs sheet.
+ * @returns {Array<Array<*>>} The rows, or an empty array if there are none.
+ */
+function readPresentationConfigRows(sheet) {
+  if (sheet.getLastRow() < 2) return [];
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, CONFIG_COLUMN_COUNT).getValues();
+}
+
+/**
+ * Simple trigger that checks edits to the Presentation_IDs sheet as they are made. Links are
+ * replaced by their presentation IDs, grade levels are respelled and problems in the edited
+ * rows are noted on their cells. Presentations are not opened here; simple triggers cannot.
+ * Edits to the Settings sheet are checked as well (see checkEditedSettings).
+ * @param {GoogleAppsScript.Events.SheetsOnEdit} e The edit event.
+ */
+function onEdit(e) {
+  if (!e || !e.range) return;
+  const sheet = e.range.getSheet();
+  if (sheet.getName() === CONSTANTS.SETTINGS_SHEET_NAME) {
+    checkEditedSettings(e);
+    return;
+  }
+  if (sheet.getName() !== getSetting('CONFIG_SHEET_NAME')) return;
+  if (e.range.getLastRow() < 2 || e.range.getColumn() > CONFIG_COLUMN_COUNT) return;
+
+  const firstRow = Math.max(e.range.getRow(), 2);
+  const lastRow = e.range.getLastRow();
+  const { fixes, issues } = checkPresentationConfigRows(readPresentationConfigRows(sheet));
+  const inEditedRows = (item) => item.row >= firstRow && item.row <= lastRow;
+  applyPresentationConfigChecks(sheet, fixes.filter(inEditedRows), issues.filter(inEditedRows), firstRow, lastRow - firstRow + 1);
+}
+
+/**
+ * Checks the whole Presentation_IDs sheet: applies the same fixes as onEdit, opens every
+ * presentation to check that the script's account can read it and that it has an agenda slide
+ * for the current week, notes each problem on its cell and summarizes the results.
+ * Designed to be run from the menu or the admin sidebar.
+ * @returns {string} The summary of the results.
+ */
+function validatePresentationConfig() {
+  const startedAt = Date.now();
+  const spreadsheet = SpreadsheetApp.openById(getSetting('SPREADSHEET_ID'));
+  const sheet = spreadsheet.getSheetByName(getSetting('CONFIG_SHEET_NAME'));
+  if (!sheet) {
+    const errorMessage = `Error: Configuration sheet '${getSetting('CONFIG_SHEET_NAME')}' not found. Please ensure it exists.`;
+    Logger.log(errorMessage);
+    if (isUiAvailable()) {
+      SpreadsheetApp.getUi().alert(errorMessage);
+    }
+    return errorMessage;
+  }
+
+  const rows = readPresentationConfigRows(sheet);
+  const offline = checkPresentationConfigRows(rows);
+  const monday = getMondayOfCurrentWeek();
+  const weekOf = normalizeDateToString(monday);
+  const startIndex = loadConfigCheckCursor(weekOf);
+  const access = checkPresentationAccess(offline.rows, buildCalendarAwareWeekMatcher(spreadsheet, monday), startedAt, startIndex);
+  saveConfigCheckCursor(weekOf, access.resumeIndex);
+  const issues = offline.issues.concat(access.issues).sort((a, b) => a.row - b.row || a.column - b.column);
+  // Rows whose presentation was not opened keep their notes from the check that last opened it
+  applyPresentationConfigChecks(sheet, offline.fixes, issues, 2, rows.length, access.uncheckedRows);
+
+  const columnNames = ['Presentation ID', 'Teacher Last Name', 'Class Name', 'Grade Level', 'Layout Profile'];
+  const lines = [`Checked ${rows.length} rows and opened ${access.checked} presentations` +
+    (startIndex > 0 ? `, continuing from row ${startIndex + 2} where the last check stopped.` : '.')];
+  if (offline.fixes.length > 0) {
+    lines.push(`Fixed ${offline.fixes.length} cells (links replaced by IDs, grade levels respelled).`);
+  }
+  if (access.uncheckedRows.length > 0) {
+    lines.push(`${access.uncheckedRows.length} presentations were not opened to stay within the execution time limit, and their rows' notes were left as they were; ` +
+      `run the check again to continue from row ${access.resumeIndex + 2}.`);
+  }
+  if (issues.length === 0) {
+    lines.push('No problems found.');
+  } else {
+    lines.push(`${issues.length} problems found; each is noted on its cell:`, '');
+    issues.slice(0, 15).forEach(issue => lines.push(`Row ${issue.row}, ${columnNames[issue.column - 1]}: ${issue.message}`));
+    if (issues.length > 15) lines.push(`…and ${issues.length - 15} more.`);
+  }
+
+  const message = lines.join('\n');
+  Logger.log(message);
+  if (isUiAvailable()) {
+    SpreadsheetApp.getUi().alert('Presentation ID Validation', message, SpreadsheetApp.getUi().ButtonSet.OK);
+  }
+  return message;
+}
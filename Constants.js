@@ -1,6 +1,8 @@
 /**
  * @fileoverview This file contains constants used throughout the Google Apps Script project.
  * Centralizing constants here makes the code more maintainable and easier to configure.
+ * The keys listed in SETTINGS_SCHEMA (Settings.js) are only defaults: read them with getSetting,
+ * since admins can override them from the Settings sheet.
  */
 
 const CONSTANTS = {
@@ -17,12 +19,87 @@ const CONSTANTS = {
    */
   CONFIG_SHEET_NAME: 'Presentation_IDs',
 
+  /**
+   * The name of the home spreadsheet's sheet that registers each school and its spreadsheet
+   * (see Schools.js).
+   * @type {string}
+   */
+  SCHOOLS_SHEET_NAME: 'Schools',
+
+  /**
+   * The name of the sheet admins change settings on without a code push (see Settings.js).
+   * @type {string}
+   */
+  SETTINGS_SHEET_NAME: 'Settings',
+
   /**
    * The name of the sheet where the extracted agenda data will be stored.
    * @type {string}
    */
   DATA_SHEET_NAME: 'Current_Day_Agendas',
 
+  /**
+   * The name of the hidden sheet an extraction run writes its results to. The rows are copied
+   * to the data sheet in one write only once every presentation has been processed.
+   * @type {string}
+   */
+  STAGING_SHEET_NAME: 'Current_Day_Agendas_Staging',
+
+  /**
+   * The name of the sheet that stores whole-week agenda extractions.
+   * Each row holds one class's agenda for one day, keyed by the week's Monday in the 'Week Of' column.
+   * @type {string}
+   */
+  WEEKLY_SHEET_NAME: 'Weekly_Agendas',
+
+  /**
+   * The number of most recent weeks kept in the weekly agenda sheet.
+   * Older weeks are dropped on the next weekly extraction; past days remain available in the archive.
+   * @type {number}
+   */
+  WEEKLY_WEEKS_TO_KEEP: 4,
+
+  /**
+   * The name of the hidden sheet that caches each presentation's last successful extraction
+   * and its Drive last-modified time, so unchanged presentations are not re-read.
+   * @type {string}
+   */
+  EXTRACTION_CACHE_SHEET_NAME: 'Extraction_Cache',
+
+  /**
+   * The name of the sheet each extraction run appends its per-presentation report to (see SyncReport.js).
+   * @type {string}
+   */
+  SYNC_REPORT_SHEET_NAME: 'Sync Report',
+
+  /**
+   * The number of most recent extraction runs kept in the sync report sheet.
+   * @type {number}
+   */
+  SYNC_REPORT_RUNS_TO_KEEP: 10,
+
+  /**
+   * How far (in points) a shape's position or size may be from a box that was not found for it
+   * to be listed as a near miss in the sync report. Kept well above TOLERANCE so slightly moved
+   * or resized boxes show up.
+   * @type {number}
+   */
+  NEAR_MISS_TOLERANCE: 40,
+
+  /**
+   * The name of the sheet that lists holidays, breaks, late starts and other special days
+   * (see SchoolCalendar.js).
+   * @type {string}
+   */
+  SCHOOL_CALENDAR_SHEET_NAME: 'School_Calendar',
+
+  /**
+   * School calendar types that mean there is no school that day. The extraction and archive
+   * triggers skip these days and the web page shows "No school today". Matching ignores case and spacing.
+   * @type {Array<string>}
+   */
+  NO_SCHOOL_DAY_TYPES: ['No School', 'Holiday', 'Break'],
+
   /**
    * The prefix used for archive sheet names. Archive sheets are named with this prefix
    * followed by year and month (e.g., 'Archive_2024_01').
@@ -30,6 +107,47 @@ const CONSTANTS = {
    */
   ARCHIVE_SHEET_PREFIX: 'Archive_',
 
+  /**
+   * The name of the hidden sheet that maps each archived date to its archive sheet and rows
+   * (see ArchiveIndex.js). It must not start with ARCHIVE_SHEET_PREFIX.
+   * @type {string}
+   */
+  ARCHIVE_INDEX_SHEET_NAME: 'Archive Index',
+
+  /**
+   * The name of the sheet that lists the changes of the latest archive repair
+   * (see ArchiveRepair.js). It must not start with ARCHIVE_SHEET_PREFIX.
+   * @type {string}
+   */
+  ARCHIVE_REPAIR_SHEET_NAME: 'Archive Repair Report',
+
+  /**
+   * The name of the sheet that lists the archive spreadsheets finished school years were rolled
+   * over into (see ArchiveRollover.js). It must not start with ARCHIVE_SHEET_PREFIX.
+   * @type {string}
+   */
+  ARCHIVE_CATALOG_SHEET_NAME: 'Archive Catalog',
+
+  /**
+   * The month (1-12) a school year starts in. Archive sheets of the months from this month to
+   * the month before it in the next year belong to one school year.
+   * @type {number}
+   */
+  SCHOOL_YEAR_START_MONTH: 7,
+
+  /**
+   * The most matches the web app's agenda search returns (see ArchiveSearch.js).
+   * @type {number}
+   */
+  SEARCH_MAX_RESULTS: 50,
+
+  /**
+   * The most archive rows one agenda search reads, newest first; older rows are left unsearched
+   * and the web app says so (see ArchiveSearch.js).
+   * @type {number}
+   */
+  SEARCH_MAX_ROWS_SCANNED: 20000,
+
   /**
    * A tolerance value (in points) for matching the position and size of shapes on the slides.
    * This helps account for minor variations in shape placement.
@@ -37,6 +155,115 @@ const CONSTANTS = {
    */
   TOLERANCE: 5,
 
+  /**
+   * The time (in milliseconds) an extraction run may spend processing presentations in one
+   * execution before it saves its place and pauses. This stays well under Apps Script's
+   * 6-minute execution limit to leave room for the slowest presentation and the sheet write.
+   * @type {number}
+   */
+  EXTRACTION_TIME_BUDGET_MS: 4.5 * 60 * 1000,
+
+  /**
+   * The delay (in milliseconds) before the continuation trigger resumes a paused extraction run.
+   * @type {number}
+   */
+  CONTINUATION_TRIGGER_DELAY_MS: 60 * 1000,
+
+  /**
+   * How long (in milliseconds) a paused extraction run may go without progress before the
+   * hourly trigger treats it as abandoned and starts a new run.
+   * @type {number}
+   */
+  EXTRACTION_RUN_STALE_MS: 20 * 60 * 1000,
+
+  /**
+   * The script property that holds the checkpoint of the extraction run in progress.
+   * @type {string}
+   */
+  EXTRACTION_STATE_PROPERTY: 'EXTRACTION_RUN_STATE',
+
+  /**
+   * The script property that holds the checkpoint of the weekly extraction run in progress.
+   * @type {string}
+   */
+  WEEKLY_EXTRACTION_STATE_PROPERTY: 'WEEKLY_EXTRACTION_RUN_STATE',
+
+  /**
+   * The script property that holds where "Validate Presentation IDs" stopped opening
+   * presentations, so the next check continues from there (see ConfigValidation.js).
+   * @type {string}
+   */
+  CONFIG_CHECK_CURSOR_PROPERTY: 'CONFIG_CHECK_CURSOR',
+
+  /**
+   * The script property that holds where an archive backfill stopped within a week, so the next
+   * backfill of that week reads only the presentations left (see ArchiveBackfill.js).
+   * @type {string}
+   */
+  ARCHIVE_BACKFILL_CURSOR_PROPERTY: 'ARCHIVE_BACKFILL_CURSOR',
+
+  /**
+   * How long (in milliseconds) each kind of run waits for the script lock while another
+   * extraction or archive run holds it, before it is skipped:
+   *  - hourlyTrigger: the hourly extraction, which simply runs again next hour.
+   *  - continuation: a paused extraction run's continuation, which reschedules itself if skipped.
+   *  - archive: the nightly archive, which has no later retry and so waits the longest.
+   *  - manual: runs started from the menu.
+   * @type {Object.<string, number>}
+   */
+  LOCK_WAIT_MS: {
+    hourlyTrigger: 10 * 1000,
+    continuation: 60 * 1000,
+    archive: 5 * 60 * 1000,
+    manual: 30 * 1000
+  },
+
+  /**
+   * The number of skipped runs listed by "View Runs Skipped by Overlap".
+   * @type {number}
+   */
+  LOCK_SKIPS_TO_SHOW: 30,
+
+  /**
+   * The name of the sheet that records every extraction, archive, copy creation and failed web
+   * app data call: when it ran, what started it, its outcome, counts and errors (see RunHistory.js).
+   * @type {string}
+   */
+  RUN_HISTORY_SHEET_NAME: 'Run History',
+
+  /**
+   * The number of most recent runs kept in the run history sheet.
+   * @type {number}
+   */
+  RUN_HISTORY_MAX_ROWS: 2000,
+
+  /**
+   * The schedule the trigger manager installs (see TriggerManager.js). After changing it, run
+   * "Reinstall Triggers with Current Schedule" from the menu to apply it.
+   *  - extractionIntervalMinutes: how often the daily extraction runs: 1, 5, 10, 15 or 30 minutes,
+   *    or 60, 120, 240, 360, 480 or 720 (every 1, 2, 4, 6, 8 or 12 hours).
+   *  - weeklyExtractionIntervalHours: how often the weekly extraction runs (1, 2, 4, 6, 8 or 12),
+   *    or 0 to not install its trigger.
+   *  - schoolHoursStart / schoolHoursEnd: the extraction triggers only do work from the start hour
+   *    up to (not including) the end hour, in the script's time zone (0-24).
+   *  - archiveHour / archiveMinute: when the nightly archive runs, give or take 15 minutes.
+   * @type {Object.<string, number>}
+   */
+  TRIGGER_SCHEDULE: {
+    extractionIntervalMinutes: 60,
+    weeklyExtractionIntervalHours: 4,
+    schoolHoursStart: 6,
+    schoolHoursEnd: 18,
+    archiveHour: 23,
+    archiveMinute: 30
+  },
+
+  /**
+   * The script property recording who last installed the triggers, and when.
+   * @type {string}
+   */
+  TRIGGER_OWNER_PROPERTY: 'TRIGGER_OWNER',
+
   /**
    * The name of the sheet that contains the staff directory with columns:
    * A: First Name, B: Last Name, C: Email Address, D: Agenda URL, E: Slide ID
@@ -64,37 +291,144 @@ const CONSTANTS = {
   },
 
   /**
-   * An object containing the precise coordinates and dimensions (x, y, width, height)
-   * for the text boxes to be extracted from the Google Slides.
-   * The coordinates are organized by the day of the week.
-   * @type {Object.<string, Object>}
+   * The prefix that marks a shape's alt text (title or description) as an agenda box tag.
+   * Day boxes are tagged "AGENDA:<Day>:<Section>" (e.g., "AGENDA:Monday:Turn In") and the
+   * upcoming box is tagged "AGENDA:Upcoming". The section may be given either by its name
+   * or by one of the layout profile's tag aliases (e.g., top, middle, bottom).
+   * Matching ignores case and spacing. Tagged boxes are found regardless of where they
+   * sit on the slide.
+   * @type {string}
    */
-  BOX_COORDINATES: {
-    'Monday': {
-      top: { x: 43.50, y: 124.70, width: 153.17, height: 38.69 },    // "Turn In"
-      middle: { x: 43.50, y: 194.49, width: 153.17, height: 104.88 }, // "Activities"
-      bottom: { x: 42.71, y: 329.03, width: 153.17, height: 51.02 }  // "Practice Work"
-    },
-    'Tuesday': {
-      top: { x: 212.61, y: 124.70, width: 157.58, height: 38.69 },   // "Turn In"
-      middle: { x: 212.61, y: 194.49, width: 157.58, height: 104.88 },// "Activities"
-      bottom: { x: 211.82, y: 329.03, width: 157.58, height: 51.02 } // "Practice Work"
-    },
-    'Wednesday': {
-      top: { x: 383.29, y: 124.70, width: 157.58, height: 38.69 },   // "Turn In"
-      middle: { x: 383.29, y: 194.49, width: 157.58, height: 104.88 },// "Activities"
-      bottom: { x: 382.50, y: 329.03, width: 157.58, height: 51.02 } // "Practice Work"
-    },
-    'Thursday': {
-      top: { x: 553.98, y: 124.70, width: 157.58, height: 39.66 },   // "Turn In"
-      middle: { x: 553.98, y: 194.49, width: 157.58, height: 104.88 },// "Activities"
-      bottom: { x: 553.19, y: 329.03, width: 157.58, height: 51.02 } // "Practice Work"
-    },
-    'Friday': {
-      top: { x: 727.50, y: 124.70, width: 161.06, height: 39.66 },   // "Turn In"
-      middle: { x: 727.50, y: 194.49, width: 161.06, height: 104.88 },// "Activities"
-      bottom: { x: 726.71, y: 329.03, width: 161.06, height: 51.02 } // "Practice Work"
+  BOX_TAG_PREFIX: 'AGENDA',
+
+  /**
+   * The week header keywords recognized on agenda slides, by language. A slide is the week's
+   * agenda slide when a shape holds one of the keywords followed by a date in that week
+   * (see WeekHeaderMatcher.js). For each language:
+   *  - keywords: the header keywords (matching ignores case and spacing).
+   *  - months: the month names, January first; any abbreviation of three or more letters is accepted.
+   *  - dayFirst: optional; true if numeric dates are written day first (e.g., 2/9 for September 2).
+   * @type {Object.<string, {keywords: Array<string>, months: Array<string>, dayFirst: (boolean|undefined)}>}
+   */
+  WEEK_HEADER_LANGUAGES: {
+    English: {
+      keywords: ['WEEK OF'],
+      months: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+        'September', 'October', 'November', 'December']
     },
-    'Upcoming': { x: 148.66, y: 392.40, width: 709.13, height: 31.23 }
+    Spanish: {
+      keywords: ['SEMANA DE', 'SEMANA DEL'],
+      months: ['Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio', 'Julio', 'Agosto',
+        'Septiembre', 'Octubre', 'Noviembre', 'Diciembre']
+    }
+  },
+
+  /**
+   * The tag that marks a slide as a week's agenda slide from its speaker notes, as an alternative
+   * to the header text. The notes hold "<BOX_TAG_PREFIX>:<WEEK_NOTES_TAG>:<date>", e.g. "AGENDA:Week:9/2/2025".
+   * @type {string}
+   */
+  WEEK_NOTES_TAG: 'Week',
+
+  /**
+   * The grade levels of the Presentation_IDs sheet's 'Grade Level' column (column D), spelled
+   * exactly as the web page's grade tabs (index.html) filter on, in the tabs' order. Other spellings such as
+   * "6th grade" are rewritten to these on edit (see ConfigValidation.js).
+   * @type {Array<string>}
+   */
+  GRADE_LEVELS: ['6th Grade', '7th Grade', '8th Grade'],
+
+  /**
+   * The school name shown in the web page's title ("<name> Daily Snapshot").
+   * @type {string}
+   */
+  SCHOOL_NAME: 'OMS',
+
+  /**
+   * A link to the logo shown next to the web page's title, or '' for none.
+   * @type {string}
+   */
+  LOGO_URL: '',
+
+  /**
+   * The colors of the web page's grade tabs, in the order of GRADE_LEVELS; they repeat when
+   * there are more grades than colors.
+   * @type {Array<string>}
+   */
+  GRADE_COLORS: ['#6366f1', '#14b8a6', '#a855f7'],
+
+  /**
+   * The layout profile used for presentations whose 'Layout Profile' column
+   * (column E of the Presentation_IDs sheet) is blank.
+   * @type {string}
+   */
+  DEFAULT_LAYOUT_PROFILE: 'standard',
+
+  /**
+   * Column headers of the Current_Day_Agendas, weekly and archive sheets that describe a row
+   * rather than hold agenda content. Every other column is treated as an agenda section.
+   * 'Rich Text' holds the structured text of the row's boxes (see RichText.js).
+   * 'Status' is 'OK' for a fresh extraction, 'Stale' when a failed extraction fell back to the
+   * presentation's last good agenda (read at 'Updated At'), or 'Unavailable' when there was none.
+   * @type {Array<string>}
+   */
+  DATA_META_HEADERS: [
+    'Date', 'Week Of', 'Teacher Last Name', 'Class Name', 'Day of Week', 'Grade Level',
+    'Layout Profile', 'Match Strategy', 'Rich Text', 'Status', 'Updated At', 'Error', 'Presentation ID'
+  ],
+
+  /**
+   * Columns that are for staff only and are never sent to the web app.
+   * @type {Array<string>}
+   */
+  STAFF_ONLY_HEADERS: ['Error', 'Presentation ID'],
+
+  /**
+   * Named agenda template layouts. Each presentation picks one through the 'Layout Profile'
+   * column of the Presentation_IDs sheet. A profile defines:
+   *  - sections: the per-day section names, in display order.
+   *  - tagAliases: optional alternative section names accepted in box tags.
+   *  - days: the days the template covers, each mapping section names to the box geometry
+   *    (x, y, width, height). A section without geometry can only be found by its tag.
+   *  - upcoming: the geometry of the "Upcoming" box, or null if it can only be found by its tag.
+   *  - extends: optional name of another profile whose fields are used when not given here.
+   *
+   * For example, a template with an extra tagged "Objectives" box could be added as:
+   *   objectives: { extends: 'standard', sections: ['Objectives', 'Turn In', 'Activities', 'Practice Work'] }
+   * @type {Object.<string, Object>}
+   */
+  LAYOUT_PROFILES: {
+    standard: {
+      sections: ['Turn In', 'Activities', 'Practice Work'],
+      tagAliases: { top: 'Turn In', middle: 'Activities', bottom: 'Practice Work' },
+      days: {
+        'Monday': {
+          'Turn In': { x: 43.50, y: 124.70, width: 153.17, height: 38.69 },
+          'Activities': { x: 43.50, y: 194.49, width: 153.17, height: 104.88 },
+          'Practice Work': { x: 42.71, y: 329.03, width: 153.17, height: 51.02 }
+        },
+        'Tuesday': {
+          'Turn In': { x: 212.61, y: 124.70, width: 157.58, height: 38.69 },
+          'Activities': { x: 212.61, y: 194.49, width: 157.58, height: 104.88 },
+          'Practice Work': { x: 211.82, y: 329.03, width: 157.58, height: 51.02 }
+        },
+        'Wednesday': {
+          'Turn In': { x: 383.29, y: 124.70, width: 157.58, height: 38.69 },
+          'Activities': { x: 383.29, y: 194.49, width: 157.58, height: 104.88 },
+          'Practice Work': { x: 382.50, y: 329.03, width: 157.58, height: 51.02 }
+        },
+        'Thursday': {
+          'Turn In': { x: 553.98, y: 124.70, width: 157.58, height: 39.66 },
+          'Activities': { x: 553.98, y: 194.49, width: 157.58, height: 104.88 },
+          'Practice Work': { x: 553.19, y: 329.03, width: 157.58, height: 51.02 }
+        },
+        'Friday': {
+          'Turn In': { x: 727.50, y: 124.70, width: 161.06, height: 39.66 },
+          'Activities': { x: 727.50, y: 194.49, width: 161.06, height: 104.88 },
+          'Practice Work': { x: 726.71, y: 329.03, width: 161.06, height: 51.02 }
+        }
+      },
+      upcoming: { x: 148.66, y: 392.40, width: 709.13, height: 31.23 }
+    }
   }
 };
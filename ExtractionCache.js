@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Change detection for the daily extraction.
+ * Each presentation's last successful extraction is kept in a hidden cache sheet together with
+ * a fingerprint (the Drive last-modified time of the deck). When a deck has not changed since
+ * it was last read for the same day and week, the extractor reuses the cached record instead of
+ * reopening the deck with SlidesApp.
+ */
+
+/**
+ * Column headers of the extraction cache sheet.
+ * @type {Array<string>}
+ */
+const EXTRACTION_CACHE_HEADERS = [
+  'Presentation ID', 'Fingerprint', 'Day of Week', 'Week Of', 'Layout Profile', 'Record', 'Cached At'
+];
+
+/**
+ * Gets the fingerprint of a presentation: the time its Drive file was last modified.
+ * @param {string} presentationId The presentation's file ID.
+ * @returns {string|null} The fingerprint, or null if the file's metadata cannot be read
+ * (in which case the deck is always re-read).
+ */
+function getPresentationFingerprint(presentationId) {
+  try {
+    return String(DriveApp.getFileById(presentationId).getLastUpdated().getTime());
+  } catch (e) {
+    Logger.log(`Could not read the last-modified time of ${presentationId}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Loads the extraction cache sheet, creating it (hidden) if needed.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The main spreadsheet.
+ * @returns {{sheet: GoogleAppsScript.Spreadsheet.Sheet, entries: Object.<string, Object>, dirty: boolean}}
+ * The cache, with entries keyed by presentation ID.
+ */
+function loadExtractionCache(spreadsheet) {
+  const CACHE_SHEET_NAME = CONSTANTS.EXTRACTION_CACHE_SHEET_NAME;
+  let sheet = spreadsheet.getSheetByName(CACHE_SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(CACHE_SHEET_NAME);
+    sheet.appendRow(EXTRACTION_CACHE_HEADERS);
+    sheet.hideSheet();
+    Logger.log(`Created extraction cache sheet: ${CACHE_SHEET_NAME}`);
+  }
+
+  const entries = {};
+  const values = sheet.getDataRange().getValues();
+  for (let i = 1; i < values.length; i++) {
+    const [presentationId, fingerprint, dayOfWeek, weekOf, profileName, recordJson, cachedAt] = values[i];
+    if (!presentationId) continue;
+    try {
+      entries[String(presentationId)] = {
+        fingerprint: String(fingerprint),
+        dayOfWeek: String(dayOfWeek),
+        weekOf: normalizeDateToString(weekOf),
+        profileName: String(profileName),
+        record: JSON.parse(recordJson),
+        cachedAt: String(cachedAt)
+      };
+    } catch (e) {
+      Logger.log(`Ignoring unreadable cache entry for ${presentationId}: ${e.message}`);
+    }
+  }
+
+  return { sheet: sheet, entries: entries, dirty: false };
+}
+
+/**
+ * Returns the cached record for a presentation if the deck is unchanged since it was cached
+ * for the same day, week and layout profile. The row's teacher, class and grade are taken
+ * from the current configuration, so edits to the Presentation_IDs sheet still apply.
+ * @param {Object} cache The cache returned by loadExtractionCache.
+ * @param {Object} entry The Presentation_IDs entry.
+ * @param {string|null} fingerprint The deck's current fingerprint.
+ * @param {string} dayOfWeek The day being extracted.
+ * @param {string} weekOf The week's Monday in YYYY-MM-DD format.
+ * @returns {Object.<string, string>|null} The record keyed by header, or null if the deck must be re-read.
+ */
+function getCachedRecord(cache, entry, fingerprint, dayOfWeek, weekOf) {
+  const cached = cache.entries[entry.presentationId];
+  // A record cached without a fingerprint is only a last good agenda, never an unchanged deck
+  if (!fingerprint || !cached || !cached.fingerprint) return null;
+  // Records cached before boxes were read as rich text are re-read once to pick it up
+  if (!cached.record.hasOwnProperty('Rich Text')) return null;
+  if (cached.fingerprint !== fingerprint || cached.dayOfWeek !== dayOfWeek ||
+      cached.weekOf !== weekOf || cached.profileName !== entry.profileName) {
+    return null;
+  }
+
+  return Object.assign({}, cached.record, {
+    'Teacher Last Name': entry.teacherLastName,
+    'Class Name': entry.className,
+    'Grade Level': entry.gradeLevel,
+    'Presentation ID': entry.presentationId
+  });
+}
+
+/**
+ * Returns a presentation's last successful extraction for the same day, week and layout profile
+ * whether or not the deck has changed since, marked 'Stale' with the time it was read. Used in
+ * place of a failed extraction so a transient error does not blank out the class's agenda.
+ * @param {Object} cache The cache returned by loadExtractionCache.
+ * @param {Object} entry The Presentation_IDs entry.
+ * @param {string} dayOfWeek The day being extracted.
+ * @param {string} weekOf The week's Monday in YYYY-MM-DD format.
+ * @returns {Object.<string, string>|null} The stale record keyed by header, or null if there is none.
+ */
+function getLastGoodRecord(cache, entry, dayOfWeek, weekOf) {
+  const cached = cache.entries[entry.presentationId];
+  if (!cached || cached.dayOfWeek !== dayOfWeek || cached.weekOf !== weekOf ||
+      cached.profileName !== entry.profileName) {
+    return null;
+  }
+
+  return Object.assign({}, cached.record, {
+    'Teacher Last Name': entry.teacherLastName,
+    'Class Name': entry.className,
+    'Grade Level': entry.gradeLevel,
+    'Presentation ID': entry.presentationId,
+    'Status': 'Stale',
+    'Updated At': formatTimestamp(new Date(cached.cachedAt))
+  });
+}
+
+/**
+ * Settles a fresh extraction against the cache: a clean read is cached, and a failed read
+ * falls back to the presentation's last good agenda (see getLastGoodRecord), carrying the new
+ * error, when there is one.
+ * @param {Object} cache The cache returned by loadExtractionCache.
+ * @param {Object} entry The Presentation_IDs entry.
+ * @param {string|null} fingerprint The deck's fingerprint when it was read.
+ * @param {string} dayOfWeek The day that was extracted.
+ * @param {string} weekOf The week's Monday in YYYY-MM-DD format.
+ * @param {Object} result The result of extractAgendaRow.
+ * @returns {{record: Object.<string, string>, stale: boolean}} The record to publish and whether
+ * it is the last good agenda in place of a failed read.
+ */
+function settleExtractedRecord(cache, entry, fingerprint, dayOfWeek, weekOf, result) {
+  if (result.success) {
+    updateCachedRecord(cache, entry, fingerprint, dayOfWeek, weekOf, result.record);
+    return { record: result.record, stale: false };
+  }
+
+  const staleRecord = getLastGoodRecord(cache, entry, dayOfWeek, weekOf);
+  if (!staleRecord) return { record: result.record, stale: false };
+
+  staleRecord['Error'] = result.record['Error'];
+  result.report.status = 'Stale';
+  Logger.log(`Serving the agenda read at ${staleRecord['Updated At']} for ${entry.teacherLastName} - ${entry.className}`);
+  return { record: staleRecord, stale: true };
+}
+
+/**
+ * Stores a freshly extracted record in the cache. Call saveExtractionCache to persist it.
+ * A record read when the deck's fingerprint could not be read is still kept as the last good
+ * agenda (see getLastGoodRecord), with a blank fingerprint so getCachedRecord never reuses it.
+ * @param {Object} cache The cache returned by loadExtractionCache.
+ * @param {Object} entry The Presentation_IDs entry.
+ * @param {string|null} fingerprint The deck's fingerprint when it was read.
+ * @param {string} dayOfWeek The day that was extracted.
+ * @param {string} weekOf The week's Monday in YYYY-MM-DD format.
+ * @param {Object.<string, string>} record The extracted record keyed by header.
+ */
+function updateCachedRecord(cache, entry, fingerprint, dayOfWeek, weekOf, record) {
+  cache.entries[entry.presentationId] = {
+    fingerprint: fingerprint || '',
+    dayOfWeek: dayOfWeek,
+    weekOf: weekOf,
+    profileName: entry.profileName,
+    record: record,
+    cachedAt: new Date().toISOString()
+  };
+  cache.dirty = true;
+}
+
+/**
+ * Writes the cache back to its sheet with a single range write, if anything changed.
+ * @param {Object} cache The cache returned by loadExtractionCache.
+ */
+function saveExtractionCache(cache) {
+  if (!cache.dirty) return;
+
+  const rows = [EXTRACTION_CACHE_HEADERS];
+  Object.keys(cache.entries).forEach(presentationId => {
+    const cached = cache.entries[presentationId];
+    rows.push([
+      presentationId, cached.fingerprint, cached.dayOfWeek, cached.weekOf,
+      cached.profileName, JSON.stringify(cached.record), cached.cachedAt
+    ]);
+  });
+
+  cache.sheet.clearContents();
+  ensureSheetSize(cache.sheet, rows.length, EXTRACTION_CACHE_HEADERS.length);
+  // Plain text keeps Sheets from converting the fingerprint and week into numbers and dates
+  cache.sheet.getRange(1, 1, rows.length, EXTRACTION_CACHE_HEADERS.length).setNumberFormat('@');
+  writeRowsInBatch(cache.sheet, 1, rows);
+  cache.dirty = false;
+}
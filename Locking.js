@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Script-wide locking for the runs that write the agenda sheets.
+ * Daily extraction (including its continuation chunks) and archiving all read or rewrite
+ * Current_Day_Agendas, so only one of them may run at a time; the weekly extraction takes the
+ * same lock, so its chunks do not overlap each other or those runs. Each entry point waits a bounded
+ * time for the script lock; a run that still cannot get it is skipped, and the skip is recorded
+ * in the run history (see RunHistory.js) so it can be reviewed from the menu.
+ */
+
+/**
+ * Whether this execution holds the script lock, taken by runWithScriptLock or runWithScriptLockIfFree.
+ * @type {boolean}
+ */
+let scriptLockHeld = false;
+
+/**
+ * Runs a task while holding the script lock.
+ * @param {string} operation A short name for the run (e.g., 'Daily extraction').
+ * @param {string} source What started the run (e.g., 'trigger', 'menu').
+ * @param {number} waitMs How long to wait for the lock before skipping the run.
+ * @param {function(): *} task The work to do while holding the lock.
+ * @returns {{skipped: boolean, result: *}} Whether the run was skipped, and the task's return value.
+ */
+function runWithScriptLock(operation, source, waitMs, task) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(waitMs)) {
+    recordLockSkip(operation, source, waitMs);
+    return { skipped: true, result: undefined };
+  }
+
+  scriptLockHeld = true;
+  try {
+    return { skipped: false, result: task() };
+  } finally {
+    scriptLockHeld = false;
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Runs a task while holding the script lock if the lock is free right away, or the fallback if
+ * another run holds it. Unlike runWithScriptLock, nothing is recorded or shown when the lock is
+ * taken, so readers such as the web app can use it to repair shared data only when no run is
+ * writing it. A caller that already holds the lock runs the task.
+ * @param {function(): *} task The work to do while holding the lock.
+ * @param {function(): *} fallback The work to do instead when the lock is taken.
+ * @returns {*} The return value of whichever ran.
+ */
+function runWithScriptLockIfFree(task, fallback) {
+  if (scriptLockHeld) return task();
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(0)) return fallback();
+
+  scriptLockHeld = true;
+  try {
+    return task();
+  } finally {
+    scriptLockHeld = false;
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Records a run that was skipped because another run held the lock, as a 'Skipped' run in the
+ * run history (see RunHistory.js).
+ * @param {string} operation The skipped run's name.
+ * @param {string} source What started the skipped run.
+ * @param {number} waitMs How long the run waited for the lock.
+ */
+function recordLockSkip(operation, source, waitMs) {
+  finishRunRecord(startRunRecord(operation, source), 'Skipped',
+    `Another run held the lock for more than ${Math.round(waitMs / 1000)} s.`);
+
+  if (isUiAvailable()) {
+    SpreadsheetApp.getUi().alert(`${operation} did not run because another extraction or archive is in progress. Please try again in a few minutes.`);
+  }
+}
+
+/**
+ * Shows the most recent runs skipped because of the lock, newest first. Designed to be run from the menu.
+ */
+function showRecentLockSkips() {
+  const skips = getRecentRuns(CONSTANTS.LOCK_SKIPS_TO_SHOW, run => run['Outcome'] === 'Skipped');
+  const message = skips.length === 0 ?
+    'No runs have been skipped because of overlapping runs.' :
+    'Runs skipped because another run was in progress (newest first):\n\n' +
+      skips.map(skip => `${formatTimestamp(skip['Started'])}  ${skip['Operation']} (${skip['Source']})`).join('\n');
+
+  Logger.log(message);
+  if (isUiAvailable()) {
+    SpreadsheetApp.getUi().alert(message);
+  }
+}
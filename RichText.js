@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Structured rich text for agenda boxes.
+ * A box's text is read into a small JSON-serializable model that keeps the order of its runs,
+ * their links and emphasis, and each paragraph's list glyph and nesting level:
+ *
+ *   { blocks: [ { glyph: '1.', level: 0, runs: [ { text: 'Read ', bold: true }, { text: 'ch. 4', link: 'https://…' } ] } ] }
+ *
+ * 'glyph' and 'level' are present only on list paragraphs; 'bold', 'italic', 'underline' and
+ * 'link' only on runs that have them. Run text may contain '\n' for line breaks within a paragraph.
+ *
+ * The data sheets store a plain-text rendering of each box in its section column, for staff to
+ * read, and the models of all of a row's boxes as JSON in its 'Rich Text' column, keyed by
+ * section. The web page and its PDF export render from the model.
+ */
+
+/**
+ * Reads a shape's text into the rich text model.
+ * @param {GoogleAppsScript.Slides.TextRange} textRange The TextRange from a shape.
+ * @returns {{blocks: Array<Object>}|null} The model, or null if the box is empty.
+ */
+function readRichText(textRange) {
+  if (textRange.asString().trim() === '') return null;
+
+  const blocks = [];
+  textRange.getParagraphs().forEach(paragraph => {
+    const range = paragraph.getRange();
+    const runs = [];
+
+    range.getRuns().forEach(run => {
+      // Paragraph ends are implied by the block; vertical tabs are Slides' soft line breaks
+      const text = run.asString().replace(/\n$/, '').replace(/\u000b/g, '\n');
+      if (text === '') return;
+
+      const style = run.getTextStyle();
+      const link = style.getLink();
+      const richRun = { text: text };
+      if (style.isBold()) richRun.bold = true;
+      if (style.isItalic()) richRun.italic = true;
+      if (style.isUnderline() && !link) richRun.underline = true;
+      if (link && link.getUrl()) richRun.link = link.getUrl();
+      runs.push(richRun);
+    });
+
+    if (runs.every(run => run.text.trim() === '')) return;
+
+    const block = { runs: trimRichRuns(runs) };
+    const listStyle = range.getListStyle();
+    if (listStyle.isInList()) {
+      block.glyph = listStyle.getGlyph() || '•';
+      block.level = listStyle.getNestingLevel() || 0;
+    }
+    blocks.push(block);
+  });
+
+  return blocks.length > 0 ? { blocks: blocks } : null;
+}
+
+/**
+ * Trims leading whitespace from a paragraph's first run and trailing whitespace from its last,
+ * dropping runs left empty.
+ * @param {Array<Object>} runs The paragraph's runs.
+ * @returns {Array<Object>} The trimmed runs.
+ */
+function trimRichRuns(runs) {
+  const trimmed = runs.map(run => Object.assign({}, run));
+  trimmed[0].text = trimmed[0].text.replace(/^\s+/, '');
+  trimmed[trimmed.length - 1].text = trimmed[trimmed.length - 1].text.replace(/\s+$/, '');
+  return trimmed.filter(run => run.text !== '');
+}
+
+/**
+ * Renders the rich text model as plain text for a sheet cell. List paragraphs keep their glyph
+ * and indentation, and links are followed by their URL when it differs from the link text.
+ * @param {{blocks: Array<Object>}|null} richText The model returned by readRichText.
+ * @returns {string} The plain text, or 'N/A' for an empty box.
+ */
+function richTextToPlainText(richText) {
+  if (!richText || richText.blocks.length === 0) return 'N/A';
+
+  return richText.blocks.map(block => {
+    const prefix = block.glyph ? '  '.repeat(block.level || 0) + block.glyph + ' ' : '';
+    return prefix + block.runs.map(run => {
+      return run.link && run.link !== run.text.trim() ? `${run.text} (${run.link})` : run.text;
+    }).join('');
+  }).join('\n');
+}
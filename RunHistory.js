@@ -0,0 +1,159 @@
+/**
+ * @fileoverview The run history.
+ * Extractions, archives, copy creation and failed web app data calls each add one row to the
+ * "Run History" sheet when they finish: the run's ID, what ran, what started it (a trigger, the
+ * menu or the web app), when it started and ended, its outcome, its counts and its errors.
+ * The sheet keeps the most recent CONSTANTS.RUN_HISTORY_MAX_ROWS runs, oldest first. Web app
+ * calls that succeed are only logged, since they run on every page view and would otherwise
+ * push the admin runs out of the history.
+ *
+ * A run is tracked with a plain record object, so a daily extraction that spans several
+ * executions carries its record in its saved state and adds its row once, when it finishes.
+ */
+
+/**
+ * Column headers of the run history sheet.
+ * @type {Array<string>}
+ */
+const RUN_HISTORY_HEADERS = [
+  'Run ID', 'Operation', 'Source', 'Started', 'Ended', 'Duration (ms)', 'Outcome', 'Counts', 'Errors'
+];
+
+/**
+ * The number of error messages a run record keeps; further errors are only counted.
+ * @type {number}
+ */
+const RUN_HISTORY_MAX_ERRORS = 20;
+
+/**
+ * Starts the record of a run.
+ * @param {string} operation What runs (e.g., 'Daily extraction').
+ * @param {string} source What started it (e.g., 'hourly trigger', 'menu', 'web app').
+ * @returns {{runId: string, operation: string, source: string, startedAt: number,
+ *   counts: Object.<string, number>, errors: Array<string>, omittedErrors: number}} The record.
+ */
+function startRunRecord(operation, source) {
+  return {
+    runId: Utilities.getUuid().substring(0, 8),
+    operation: operation,
+    source: source,
+    startedAt: Date.now(),
+    counts: {},
+    errors: [],
+    omittedErrors: 0
+  };
+}
+
+/**
+ * Adds to one of a run's counts.
+ * @param {Object} run The record from startRunRecord.
+ * @param {string} name The count's name (e.g., 'rows archived').
+ * @param {number} [amount] The amount to add; defaults to 1.
+ */
+function countInRunRecord(run, name, amount) {
+  run.counts[name] = (run.counts[name] || 0) + (amount === undefined ? 1 : amount);
+}
+
+/**
+ * Adds an error message to a run's record. Only the first RUN_HISTORY_MAX_ERRORS are kept.
+ * @param {Object} run The record from startRunRecord.
+ * @param {string} message The error message.
+ */
+function addRunError(run, message) {
+  if (run.errors.length < RUN_HISTORY_MAX_ERRORS) {
+    run.errors.push(message);
+  } else {
+    run.omittedErrors++;
+  }
+}
+
+/**
+ * Finishes a run and adds its row to the run history; web app calls are added only if they
+ * failed or had errors. Failing to write the history is logged and never fails the run itself.
+ * @param {Object} run The record from startRunRecord.
+ * @param {string} [outcome] 'Succeeded', 'Completed with errors', 'Failed', 'Skipped',
+ * 'Nothing to do' or 'Abandoned'; defaults to 'Succeeded', or 'Completed with errors' if the
+ * record has errors.
+ * @param {string} [error] An error message to add before finishing.
+ */
+function finishRunRecord(run, outcome, error) {
+  if (error) addRunError(run, error);
+  const hasErrors = run.errors.length + run.omittedErrors > 0;
+  const finalOutcome = outcome || (hasErrors ? 'Completed with errors' : 'Succeeded');
+  const endedAt = Date.now();
+
+  const counts = Object.keys(run.counts).map(name => `${name}: ${run.counts[name]}`).join(', ');
+  const errors = run.errors.join('\n') + (run.omittedErrors > 0 ? `\n…and ${run.omittedErrors} more` : '');
+  Logger.log(`[${run.runId}] ${run.operation} (${run.source}): ${finalOutcome} in ${endedAt - run.startedAt} ms` +
+    (counts ? ` (${counts})` : ''));
+  if (run.source === 'web app' && finalOutcome !== 'Failed' && !hasErrors) return;
+
+  try {
+    const sheet = getOrCreateRunHistorySheet(SpreadsheetApp.openById(getSetting('SPREADSHEET_ID')));
+    // appendRow adds the row in one step, so runs finishing at the same time never overwrite each other
+    sheet.appendRow([
+      run.runId, run.operation, run.source, new Date(run.startedAt), new Date(endedAt),
+      endedAt - run.startedAt, finalOutcome, counts, errors
+    ]);
+    pruneRunHistory(sheet);
+  } catch (e) {
+    Logger.log(`[${run.runId}] Could not record the run in the run history: ${e.message}`);
+  }
+}
+
+/**
+ * Gets the run history sheet, creating it if needed.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The main spreadsheet.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The run history sheet.
+ */
+function getOrCreateRunHistorySheet(spreadsheet) {
+  const SHEET_NAME = CONSTANTS.RUN_HISTORY_SHEET_NAME;
+  let sheet = spreadsheet.getSheetByName(SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(SHEET_NAME);
+    writeRowsInBatch(sheet, 1, [RUN_HISTORY_HEADERS]);
+    sheet.getRange(1, 1, 1, RUN_HISTORY_HEADERS.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    // Run IDs stay plain text so IDs such as '1e10' are not read as numbers
+    sheet.getRange('A:A').setNumberFormat('@');
+    sheet.getRange('D:E').setNumberFormat('yyyy-mm-dd hh:mm:ss');
+    Logger.log(`Created run history sheet: ${SHEET_NAME}`);
+  }
+  return sheet;
+}
+
+/**
+ * Deletes the oldest rows once the run history holds more than CONSTANTS.RUN_HISTORY_MAX_ROWS
+ * runs. Rows are deleted a tenth of the limit at a time so that most runs do not delete any.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The run history sheet.
+ */
+function pruneRunHistory(sheet) {
+  const runCount = sheet.getLastRow() - 1;
+  if (runCount <= CONSTANTS.RUN_HISTORY_MAX_ROWS) return;
+
+  const rowsToDelete = runCount - CONSTANTS.RUN_HISTORY_MAX_ROWS + Math.ceil(CONSTANTS.RUN_HISTORY_MAX_ROWS / 10);
+  sheet.deleteRows(2, Math.min(rowsToDelete, runCount));
+  Logger.log(`Removed the ${rowsToDelete} oldest runs from the run history.`);
+}
+
+/**
+ * Reads the most recent runs from the run history, newest first.
+ * @param {number} limit The most runs to return.
+ * @param {function(Object): boolean} [filter] Keeps only the runs it returns true for.
+ * @returns {Array<Object.<string, *>>} The runs, keyed by run history header.
+ */
+function getRecentRuns(limit, filter) {
+  const sheet = SpreadsheetApp.openById(getSetting('SPREADSHEET_ID')).getSheetByName(CONSTANTS.RUN_HISTORY_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, RUN_HISTORY_HEADERS.length).getValues();
+  const runs = [];
+  for (let i = values.length - 1; i >= 0 && runs.length < limit; i--) {
+    const run = {};
+    RUN_HISTORY_HEADERS.forEach((header, j) => {
+      run[header] = values[i][j];
+    });
+    if (!filter || filter(run)) runs.push(run);
+  }
+  return runs;
+}
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview School calendar awareness.
+ * Holidays, breaks, late starts and other special days are listed in the School_Calendar sheet,
+ * one row per day or date range: A Date, B End Date (optional, for ranges such as a break),
+ * C Type (e.g., 'No School', 'Late Start'; blank means no school) and D Note.
+ * Days whose type is one of CONSTANTS.NO_SCHOOL_DAY_TYPES are skipped by the extraction and
+ * archive triggers and shown as "No school today" on the web page. Any other type is shown as a
+ * notice above the day's agendas. When a week starts with no-school days, its agenda slide is
+ * looked up by the first school day's date.
+ */
+
+/**
+ * Column headers of the school calendar sheet.
+ * @type {Array<string>}
+ */
+const SCHOOL_CALENDAR_HEADERS = ['Date', 'End Date', 'Type', 'Note'];
+
+/**
+ * The longest date range (in days) a single calendar row may cover.
+ * @type {number}
+ */
+const SCHOOL_CALENDAR_MAX_RANGE_DAYS = 120;
+
+/**
+ * Loads the school calendar sheet. A missing sheet is an empty calendar.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The main spreadsheet.
+ * @returns {{days: Object.<string, {date: string, type: string, note: string, noSchool: boolean}>}}
+ * The calendar, with one entry per listed day keyed by 'YYYY-MM-DD'.
+ */
+function loadSchoolCalendar(spreadsheet) {
+  const days = {};
+  const sheet = spreadsheet.getSheetByName(getSetting('SCHOOL_CALENDAR_SHEET_NAME'));
+  if (!sheet || sheet.getLastRow() < 2) return { days: days };
+
+  const noSchoolTypes = CONSTANTS.NO_SCHOOL_DAY_TYPES.map(type => normalizeTagPart(type));
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, SCHOOL_CALENDAR_HEADERS.length).getValues();
+
+  values.forEach((row, i) => {
+    const start = normalizeDateToString(row[0]);
+    if (!start) {
+      if (row[0] !== '') Logger.log(`School calendar row ${i + 2}: '${row[0]}' is not a date; ignoring it.`);
+      return;
+    }
+    const end = normalizeDateToString(row[1]) || start;
+    const type = String(row[2] || '').trim() || CONSTANTS.NO_SCHOOL_DAY_TYPES[0];
+    const note = String(row[3] || '').trim();
+    const noSchool = noSchoolTypes.indexOf(normalizeTagPart(type)) !== -1;
+
+    const [year, month, day] = start.split('-').map(Number);
+    for (let offset = 0; offset <= SCHOOL_CALENDAR_MAX_RANGE_DAYS; offset++) {
+      const date = normalizeDateToString(new Date(year, month - 1, day + offset, 12));
+      if (date > end) break;
+      days[date] = { date: date, type: type, note: note, noSchool: noSchool };
+    }
+  });
+
+  return { days: days };
+}
+
+/**
+ * Gets the calendar entry for a day.
+ * @param {{days: Object}} calendar The calendar returned by loadSchoolCalendar.
+ * @param {string} dateString The day in 'YYYY-MM-DD' format.
+ * @returns {{date: string, type: string, note: string, noSchool: boolean}|null} The entry, or
+ * null for a regular school day.
+ */
+function getCalendarDay(calendar, dateString) {
+  return calendar.days[dateString] || null;
+}
+
+/**
+ * Gets today's calendar entry if today is a no-school day. Used by the triggers to skip the day.
+ * @returns {{date: string, type: string, note: string, noSchool: boolean}|null} The entry, or null
+ * if there is school today.
+ */
+function getNoSchoolDayForToday() {
+  const calendar = loadSchoolCalendar(SpreadsheetApp.openById(getSetting('SPREADSHEET_ID')));
+  const calendarDay = getCalendarDay(calendar, normalizeDateToString(new Date()));
+  return calendarDay && calendarDay.noSchool ? calendarDay : null;
+}
+
+/**
+ * Gets the calendar entries of a week's weekdays, keyed by day name, for the "This Week" view.
+ * @param {{days: Object}} calendar The calendar returned by loadSchoolCalendar.
+ * @param {string} weekOf The week's Monday in 'YYYY-MM-DD' format.
+ * @returns {Object.<string, {date: string, type: string, note: string, noSchool: boolean}>} The
+ * entries of the listed days (e.g., { Monday: {...} }).
+ */
+function getCalendarDaysForWeek(calendar, weekOf) {
+  const [year, month, day] = weekOf.split('-').map(Number);
+  const calendarDays = {};
+  for (let i = 0; i < 5; i++) {
+    const date = new Date(year, month - 1, day + i, 12);
+    const calendarDay = getCalendarDay(calendar, normalizeDateToString(date));
+    if (calendarDay) calendarDays[Utilities.formatDate(date, Session.getScriptTimeZone(), 'EEEE')] = calendarDay;
+  }
+  return calendarDays;
+}
+
+/**
+ * Finds the first school day of a week, used to look up the week's agenda slide when the
+ * week starts with a holiday.
+ * @param {{days: Object}} calendar The calendar returned by loadSchoolCalendar.
+ * @param {Date} monday The Monday of the week.
+ * @returns {string} The first weekday that is not a no-school day in 'YYYY-MM-DD' format, or
+ * the Monday if the whole week is off.
+ */
+function getFirstSchoolDayOfWeek(calendar, monday) {
+  for (let i = 0; i < 5; i++) {
+    const date = normalizeDateToString(new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + i, 12));
+    const calendarDay = getCalendarDay(calendar, date);
+    if (!calendarDay || !calendarDay.noSchool) return date;
+  }
+  return normalizeDateToString(monday);
+}
+
+/**
+ * Builds the header matcher for a week, preferring the week's first school day (see
+ * buildWeekHeaderMatcher).
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The main spreadsheet.
+ * @param {Date} monday The Monday of the week.
+ * @returns {Object} The week header matcher.
+ */
+function buildCalendarAwareWeekMatcher(spreadsheet, monday) {
+  const firstSchoolDay = getFirstSchoolDayOfWeek(loadSchoolCalendar(spreadsheet), monday);
+  if (firstSchoolDay !== normalizeDateToString(monday)) {
+    Logger.log(`No school on Monday ${normalizeDateToString(monday)}; looking for week slides dated ${firstSchoolDay} first.`);
+  }
+  return buildWeekHeaderMatcher(monday, firstSchoolDay);
+}
+
+/**
+ * Creates the school calendar sheet with its header, if it does not exist.
+ * Designed to be run from the menu.
+ */
+function setUpSchoolCalendarSheet() {
+  const spreadsheet = SpreadsheetApp.openById(getSetting('SPREADSHEET_ID'));
+  const SHEET_NAME = getSetting('SCHOOL_CALENDAR_SHEET_NAME');
+  let message;
+
+  if (spreadsheet.getSheetByName(SHEET_NAME)) {
+    message = `The '${SHEET_NAME}' sheet already exists.`;
+  } else {
+    const sheet = spreadsheet.insertSheet(SHEET_NAME);
+    writeRowsInBatch(sheet, 1, [SCHOOL_CALENDAR_HEADERS]);
+    sheet.getRange(1, 1, 1, SCHOOL_CALENDAR_HEADERS.length).setFontWeight('bold');
+    sheet.getRange('A:B').setNumberFormat('yyyy-mm-dd');
+    sheet.setFrozenRows(1);
+    message = `Created the '${SHEET_NAME}' sheet. Add one row per holiday, break or special day: ` +
+      `Date, optional End Date for a range, Type (${CONSTANTS.NO_SCHOOL_DAY_TYPES.join(', ')} skip the day; ` +
+      `anything else, such as 'Late Start', is shown as a notice) and an optional Note.`;
+  }
+
+  Logger.log(message);
+  if (isUiAvailable()) {
+    SpreadsheetApp.getUi().alert(message);
+  }
+}
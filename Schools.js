@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Several schools served by one deployment.
+ * The Schools sheet of the home spreadsheet (the SPREADSHEET_ID script property, or
+ * CONSTANTS.SPREADSHEET_ID) registers each school: A School ID (used in the web app's URL, as
+ * ?school=<id>), B Spreadsheet ID (the school's own copy of the configuration spreadsheet, a link
+ * is accepted) and C Active (FALSE or "No" to pause a school). Without the sheet, or with no valid
+ * rows, the home spreadsheet is the only school.
+ *
+ * Each school's spreadsheet holds its own Presentation_IDs, data, archive, calendar and Settings
+ * sheets, so its grade list, master template and branding (SCHOOL_NAME, LOGO_URL, GRADE_COLORS)
+ * are set on its Settings sheet. While withSchool runs an action for a school, getSetting reads
+ * that school's spreadsheet and settings. The triggers run every active school in turn; the
+ * menu, the admin sidebar and onEdit work on the spreadsheet the script is bound to.
+ */
+
+/**
+ * Column headers of the schools sheet.
+ * @type {Array<string>}
+ */
+const SCHOOLS_HEADERS = ['School ID', 'Spreadsheet ID', 'Active'];
+
+/**
+ * The ID of the home spreadsheet's school when no school is registered.
+ * @type {string}
+ */
+const DEFAULT_SCHOOL_ID = 'default';
+
+/**
+ * The school withSchool is running an action for, or null for the home spreadsheet.
+ * @type {{id: string, spreadsheetId: string}|null}
+ */
+let activeSchool = null;
+
+/**
+ * The registered schools, read once per execution (see getSchools).
+ * @type {Array<{id: string, spreadsheetId: string}>|null}
+ */
+let registeredSchools = null;
+
+/**
+ * Gets the ID of the home spreadsheet, which holds the schools sheet and is the only school when
+ * none is registered: the SPREADSHEET_ID script property if it holds a well-formed ID, otherwise
+ * CONSTANTS.SPREADSHEET_ID.
+ * @returns {string} The spreadsheet ID.
+ */
+function getHomeSpreadsheetId() {
+  const property = extractPresentationId(PropertiesService.getScriptProperties().getProperty('SPREADSHEET_ID'));
+  return isWellFormedPresentationId(property) ? property : CONSTANTS.SPREADSHEET_ID;
+}
+
+/**
+ * Normalizes a school ID for the URL and for comparison (e.g., " North Campus " -> "north-campus").
+ * @param {*} value The ID as written.
+ * @returns {string} The normalized ID.
+ */
+function normalizeSchoolId(value) {
+  return String(value == null ? '' : value).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Lists the active schools in the order of the schools sheet. Rows without an ID or with a
+ * malformed spreadsheet ID are skipped, as are repeated IDs.
+ * @returns {Array<{id: string, spreadsheetId: string}>} The schools; the home spreadsheet alone
+ * when none is registered.
+ */
+function getSchools() {
+  if (registeredSchools) return registeredSchools;
+
+  const homeSpreadsheetId = getHomeSpreadsheetId();
+  const active = SpreadsheetApp.getActiveSpreadsheet();
+  const home = active && active.getId() === homeSpreadsheetId ? active : SpreadsheetApp.openById(homeSpreadsheetId);
+  const sheet = home.getSheetByName(CONSTANTS.SCHOOLS_SHEET_NAME);
+
+  const schools = [];
+  if (sheet && sheet.getLastRow() >= 2) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, SCHOOLS_HEADERS.length).getValues().forEach((row, index) => {
+      const id = normalizeSchoolId(row[0]);
+      const spreadsheetId = extractPresentationId(row[1]);
+      const isActive = !(row[2] === false || /^(false|no|n)$/i.test(String(row[2]).trim()));
+      if (!id && !spreadsheetId) return;
+      if (!id || !isWellFormedPresentationId(spreadsheetId)) {
+        Logger.log(`Skipping row ${index + 2} of the '${CONSTANTS.SCHOOLS_SHEET_NAME}' sheet: it needs a School ID and a spreadsheet ID.`);
+        return;
+      }
+      if (schools.some(school => school.id === id)) {
+        Logger.log(`Skipping row ${index + 2} of the '${CONSTANTS.SCHOOLS_SHEET_NAME}' sheet: school '${id}' is already listed.`);
+        return;
+      }
+      if (isActive) schools.push({ id: id, spreadsheetId: spreadsheetId });
+    });
+  }
+
+  registeredSchools = schools.length > 0 ? schools : [{ id: DEFAULT_SCHOOL_ID, spreadsheetId: homeSpreadsheetId }];
+  return registeredSchools;
+}
+
+/**
+ * Finds a school by ID.
+ * @param {string} [schoolId] The school ID, as given in the web app's URL; blank selects the
+ * first school.
+ * @returns {{id: string, spreadsheetId: string}|null} The school, or null if there is no such
+ * active school.
+ */
+function findSchool(schoolId) {
+  const schools = getSchools();
+  const id = normalizeSchoolId(schoolId);
+  if (!id) return schools[0];
+  return schools.find(school => school.id === id) || null;
+}
+
+/**
+ * Runs an action for a school: while it runs, getSetting reads the school's spreadsheet and
+ * Settings sheet, and per-school script properties (see getSchoolPropertyKey) are the school's.
+ * @param {{id: string, spreadsheetId: string}} school The school.
+ * @param {function(): *} action The action.
+ * @returns {*} The action's result.
+ */
+function withSchool(school, action) {
+  const previousSchool = activeSchool;
+  const previousSettings = loadedSettings;
+  activeSchool = school;
+  loadedSettings = null;
+  try {
+    return action();
+  } finally {
+    activeSchool = previousSchool;
+    loadedSettings = previousSettings;
+  }
+}
+
+/**
+ * Runs an action for every active school in turn. A failure in one school is logged and does
+ * not stop the others.
+ * @param {string} label What the action is, for the log (e.g., 'Daily archive').
+ * @param {function({id: string, spreadsheetId: string}, number)} action The action, given the
+ * school and its position in the list.
+ */
+function forEachSchool(label, action) {
+  getSchools().forEach((school, index) => {
+    try {
+      withSchool(school, () => action(school, index));
+    } catch (e) {
+      Logger.log(`${label} failed for school '${school.id}': ${e.message}`);
+    }
+  });
+}
+
+/**
+ * Gets the script property key that holds a per-school value for the school being run. The home
+ * spreadsheet's school keeps the plain key, so a single-school deployment's state carries over.
+ * @param {string} key The property key (e.g., CONSTANTS.EXTRACTION_STATE_PROPERTY).
+ * @returns {string} The key for the school being run.
+ */
+function getSchoolPropertyKey(key) {
+  return activeSchool && activeSchool.spreadsheetId !== getHomeSpreadsheetId() ? `${key}:${activeSchool.id}` : key;
+}
+
+/**
+ * Gathers the school's branding for the web page from its settings.
+ * @param {{id: string, spreadsheetId: string}} school The school being run.
+ * @returns {{id: string, name: string, logoUrl: string, gradeLevels: Array<string>,
+ *   gradeColors: Array<string>}} The branding.
+ */
+function getSchoolBranding(school) {
+  return {
+    id: school.id,
+    name: getSetting('SCHOOL_NAME'),
+    logoUrl: getSetting('LOGO_URL'),
+    gradeLevels: getSetting('GRADE_LEVELS'),
+    gradeColors: getSetting('GRADE_COLORS')
+  };
+}
+
+/**
+ * Runs a web app data call for the school given by the page. Called by the web functions with
+ * the school ID the page was opened with.
+ * @param {string} [schoolId] The school ID; blank selects the first school.
+ * @param {function(): Object} fetchData The data call, run for the school.
+ * @returns {Object} The data call's result, or an 'error' if the school is unknown.
+ */
+function runForWebSchool(schoolId, fetchData) {
+  let school;
+  try {
+    school = findSchool(schoolId);
+  } catch (e) {
+    Logger.log(`Error reading the schools sheet: ${e.message}`);
+    return { error: `Failed to load the list of schools: ${e.message}` };
+  }
+  if (!school) {
+    return { error: `Unknown school '${schoolId}'.` };
+  }
+  return withSchool(school, fetchData);
+}
+
+/**
+ * Checks whether any school has a saved extraction run, paused or queued.
+ * @returns {boolean} True if a continuation trigger is still needed.
+ */
+function hasPendingExtractionRuns() {
+  return getSchools().some(school => withSchool(school, () => !!loadExtractionRunState()));
+}
+
+/**
+ * Checks whether any school has a saved weekly extraction run, paused or queued.
+ * @returns {boolean} True if a weekly continuation trigger is still needed.
+ */
+function hasPendingWeeklyExtractionRuns() {
+  return getSchools().some(school => withSchool(school, () => !!loadWeeklyExtractionRunState()));
+}
+
+/**
+ * Creates the schools sheet with its header and the home spreadsheet as the first school, if it
+ * does not exist. Designed to be run from the menu.
+ * @returns {string} A summary of the result.
+ */
+function setUpSchoolsSheet() {
+  const spreadsheet = SpreadsheetApp.openById(getHomeSpreadsheetId());
+  const SHEET_NAME = CONSTANTS.SCHOOLS_SHEET_NAME;
+  let message;
+
+  if (spreadsheet.getSheetByName(SHEET_NAME)) {
+    message = `The '${SHEET_NAME}' sheet already exists.`;
+  } else {
+    const sheet = spreadsheet.insertSheet(SHEET_NAME);
+    sheet.getRange('A:B').setNumberFormat('@');
+    writeRowsInBatch(sheet, 1, [SCHOOLS_HEADERS, [DEFAULT_SCHOOL_ID, spreadsheet.getId(), true]]);
+    sheet.getRange(1, 1, 1, SCHOOLS_HEADERS.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    message = `Created the '${SHEET_NAME}' sheet with this spreadsheet as school '${DEFAULT_SCHOOL_ID}'. ` +
+      'Add one row per school: a short School ID for the web app link (?school=<id>), the ID or link of the ' +
+      'school\'s own copy of this spreadsheet, and Active (FALSE to pause the school). The script\'s account needs edit access to each copy.';
+  }
+
+  registeredSchools = null;
+  Logger.log(message);
+  if (isUiAvailable()) {
+    SpreadsheetApp.getUi().alert(message);
+  }
+  return message;
+}
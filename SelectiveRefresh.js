@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Targeted refresh of chosen presentations.
+ * When a teacher has just fixed their slide, "Re-extract Selected Presentations Now" re-reads
+ * only the Presentation_IDs rows selected in the sheet and rewrites only their rows of
+ * Current_Day_Agendas, matched by presentation ID and class. Every other row is left as it is.
+ * Rows not yet on the data sheet (such as a newly added class) are appended. The refresh only
+ * runs while the data sheet holds today's agendas, since it reads the current week's slide.
+ */
+
+/**
+ * Re-extracts the Presentation_IDs rows selected in the sheet. Designed to be run from the menu
+ * or the admin sidebar.
+ * @returns {string|undefined} A summary of the refresh, or undefined if it was skipped because
+ * another run held the lock.
+ */
+function refreshSelectedPresentations() {
+  const configSheetName = getSetting('CONFIG_SHEET_NAME');
+  const activeSheet = SpreadsheetApp.getActiveSheet();
+  const selectedRange = activeSheet ? activeSheet.getActiveRange() : null;
+
+  if (!activeSheet || activeSheet.getName() !== configSheetName || !selectedRange) {
+    const selectionMessage = `Please select one or more rows in the '${configSheetName}' sheet to re-extract.`;
+    if (isUiAvailable()) {
+      SpreadsheetApp.getUi().alert(selectionMessage);
+    }
+    return selectionMessage;
+  }
+
+  const rowNumbers = [];
+  for (let row = Math.max(selectedRange.getRow(), 2); row <= selectedRange.getLastRow(); row++) {
+    rowNumbers.push(row);
+  }
+
+  const run = runWithScriptLock('Selected presentation refresh', 'menu', CONSTANTS.LOCK_WAIT_MS.manual,
+    () => refreshPresentationRows(rowNumbers, 'menu'));
+  if (run.skipped) return undefined;
+
+  Logger.log(run.result.message);
+  if (isUiAvailable()) {
+    SpreadsheetApp.getUi().alert('Re-extract Selected Presentations', run.result.message, SpreadsheetApp.getUi().ButtonSet.OK);
+  }
+  return run.result.message;
+}
+
+/**
+ * Re-extracts the given Presentation_IDs rows for today and rewrites their rows of
+ * Current_Day_Agendas, provided the data sheet holds today's agendas. A failed read keeps serving the last good agenda, as in the
+ * daily extraction. The caller must hold the script lock.
+ * @param {Array<number>} rowNumbers The Presentation_IDs sheet rows to re-extract (2 or more).
+ * @param {string} source What started the refresh, for the run history.
+ * @returns {{updated: number, appended: number, errors: number, message: string}} The number of
+ * data rows rewritten and appended, the number of failed reads and a summary for the user.
+ */
+function refreshPresentationRows(rowNumbers, source) {
+  const run = startRunRecord('Selected presentation refresh', source);
+  const spreadsheet = SpreadsheetApp.openById(getSetting('SPREADSHEET_ID'));
+  const configSheet = spreadsheet.getSheetByName(getSetting('CONFIG_SHEET_NAME'));
+  const dataSheet = spreadsheet.getSheetByName(getSetting('DATA_SHEET_NAME'));
+  const fail = (message) => {
+    finishRunRecord(run, 'Failed', message);
+    return { updated: 0, appended: 0, errors: 0, message: message };
+  };
+
+  if (!configSheet || !dataSheet) {
+    return fail(`The '${getSetting('CONFIG_SHEET_NAME')}' or '${getSetting('DATA_SHEET_NAME')}' sheet was not found.`);
+  }
+  // The run publishes its staged rows when it finishes, which would overwrite this refresh
+  if (isExtractionRunInProgress()) {
+    return fail('A daily extraction is in progress. Please try again once it has finished.');
+  }
+
+  const dataValues = dataSheet.getDataRange().getValues();
+  const headers = trimHeaderRow(dataValues[0]);
+  const dayColumn = headers.indexOf('Day of Week');
+  const idColumn = headers.indexOf('Presentation ID');
+  if (dayColumn === -1 || idColumn === -1) {
+    return fail(`The '${getSetting('DATA_SHEET_NAME')}' sheet has no current agenda header yet. Run the daily extraction first.`);
+  }
+
+  // The refresh reads the current week's slide, so it only runs while the sheet holds today's
+  // agendas; refreshed rows then never mix with another day's or week's
+  const dayOfWeek = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'EEEE');
+  const sheetDay = dataValues.length > 1 ? String(dataValues[1][dayColumn]) : '';
+  if (sheetDay && sheetDay !== dayOfWeek) {
+    return fail(`The '${getSetting('DATA_SHEET_NAME')}' sheet holds ${sheetDay}'s agendas, not today's (${dayOfWeek}). ` +
+      'Run the daily extraction for today instead.');
+  }
+
+  const configEntries = readPresentationConfig(configSheet);
+  const entries = rowNumbers
+    .map(row => configEntries[row - 2])
+    .filter(entry => entry && entry.presentationId);
+  if (entries.length === 0) {
+    finishRunRecord(run, 'Nothing to do');
+    return { updated: 0, appended: 0, errors: 0, message: 'The selected rows have no presentation IDs.' };
+  }
+
+  const { profiles } = resolveLayoutProfiles(entries);
+  const monday = getMondayOfCurrentWeek();
+  const weekOf = normalizeDateToString(monday);
+  const weekMatcher = buildCalendarAwareWeekMatcher(spreadsheet, monday);
+  const cache = loadExtractionCache(spreadsheet);
+
+  // Teachers can share a last name and a class name, so rows are matched by presentation and class
+  const rowKey = (presentationId, className) => `${String(presentationId).trim()}|${normalizeTagPart(className)}`;
+  const classColumn = headers.indexOf('Class Name');
+  const dataRowByKey = {};
+  for (let i = 1; i < dataValues.length; i++) {
+    dataRowByKey[rowKey(dataValues[i][idColumn], dataValues[i][classColumn])] = i + 1;
+  }
+
+  const appendedRows = [];
+  const reports = [];
+  const summaries = [];
+  let updated = 0;
+  let errors = 0;
+
+  entries.forEach(entry => {
+    const fingerprint = getPresentationFingerprint(entry.presentationId);
+    const result = extractAgendaRow(entry, profiles, headers, dayOfWeek, weekMatcher);
+    if (!result) return;
+    reports.push(result.report);
+
+    if (!result.success) {
+      errors++;
+      addRunError(run, `${entry.teacherLastName} - ${entry.className}: ${result.record['Error']}`);
+    }
+    const settled = settleExtractedRecord(cache, entry, fingerprint, dayOfWeek, weekOf, result);
+    const row = buildAgendaRow(headers, settled.record);
+
+    const dataRow = dataRowByKey[rowKey(entry.presentationId, entry.className)];
+    if (dataRow) {
+      dataSheet.getRange(dataRow, 1, 1, headers.length).setValues([row]);
+      updated++;
+    } else {
+      appendedRows.push(row);
+    }
+    summaries.push(`${entry.teacherLastName} - ${entry.className}: ` +
+      (result.success ? 'updated' : `${settled.stale ? 'kept the last good agenda' : 'unavailable'} (${result.record['Error']})`));
+  });
+
+  writeRowsInBatch(dataSheet, dataSheet.getLastRow() + 1, appendedRows);
+  saveExtractionCache(cache);
+  appendSyncReportRows(spreadsheet, reports.map(report => buildSyncReportRow(run.runId, report)));
+
+  countInRunRecord(run, 'rows updated', updated);
+  countInRunRecord(run, 'rows appended', appendedRows.length);
+  countInRunRecord(run, 'errors', errors);
+  finishRunRecord(run);
+
+  const message = `Re-extracted ${summaries.length} presentations for ${dayOfWeek} in the "${getSetting('DATA_SHEET_NAME')}" tab ` +
+    `(${updated} rows updated, ${appendedRows.length} added).\n\n${summaries.join('\n')}`;
+  return { updated: updated, appended: appendedRows.length, errors: errors, message: message };
+}
@@ -0,0 +1,413 @@
+/**
+ * @fileoverview Settings admins can change without a code push.
+ * The Settings sheet lists one setting per row: A Setting (the CONSTANTS key it overrides),
+ * B Value, C Default and D Description. A blank or invalid value falls back to its default from
+ * Constants.js; invalid values are flagged with a note on edit and by "Validate Settings".
+ * Only the keys in SETTINGS_SCHEMA can be set this way; everything else stays in Constants.js.
+ *
+ * Each school has its own Settings sheet, in its own spreadsheet (see Schools.js). The spreadsheet
+ * ID cannot live in the sheet it locates, so it comes from the school being run, or for the home
+ * spreadsheet from the SPREADSHEET_ID script property (Project Settings > Script Properties in
+ * the Apps Script editor) when set.
+ */
+
+/**
+ * Column headers of the settings sheet.
+ * @type {Array<string>}
+ */
+const SETTINGS_HEADERS = ['Setting', 'Value', 'Default', 'Description'];
+
+/**
+ * The settings that can be changed from the settings sheet, in the order the sheet lists them.
+ * Each has a type that decides how its value is read and checked:
+ *  - sheetName: a sheet name.
+ *  - fileId: a Drive file ID; a link to the file is accepted and reduced to its ID.
+ *  - number: a number between min and max, a whole number if integer is set.
+ *  - text: any non-blank text.
+ *  - url: an http or https link.
+ *  - list: a comma-separated list; each item must match itemPattern if it is set.
+ *  - json: a JSON value, checked by the setting's validate function.
+ * @type {Array<{key: string, type: string, description: string, min: (number|undefined),
+ *   max: (number|undefined), integer: (boolean|undefined), itemPattern: (RegExp|undefined),
+ *   validate: (function(*): string|undefined)}>}
+ */
+const SETTINGS_SCHEMA = [
+  { key: 'CONFIG_SHEET_NAME', type: 'sheetName', description: 'The sheet listing each class\'s presentation ID, teacher, class, grade level and layout profile.' },
+  { key: 'DATA_SHEET_NAME', type: 'sheetName', description: 'The sheet holding the current day\'s extracted agendas.' },
+  { key: 'WEEKLY_SHEET_NAME', type: 'sheetName', description: 'The sheet holding whole-week agendas.' },
+  { key: 'STAFF_DIRECTORY_SHEET_NAME', type: 'sheetName', description: 'The staff directory sheet used to create presentation copies.' },
+  { key: 'SCHOOL_CALENDAR_SHEET_NAME', type: 'sheetName', description: 'The sheet listing holidays, breaks and special days.' },
+  { key: 'MASTER_PRESENTATION_ID', type: 'fileId', description: 'The master template copied for each teacher (an ID or a link to the presentation).' },
+  { key: 'TOLERANCE', type: 'number', min: 0, max: 50, description: 'How far (in points) a shape may be from a box\'s position and size and still be read as that box.' },
+  { key: 'NEAR_MISS_TOLERANCE', type: 'number', min: 0, max: 500, description: 'How far (in points) a shape may be from a box that was not found to be listed as a near miss in the sync report.' },
+  { key: 'SCHOOL_YEAR_START_MONTH', type: 'number', min: 1, max: 12, integer: true, description: 'The month (1-12) a school year starts in, for rolling finished years\' archive sheets over into their own spreadsheet.' },
+  { key: 'WEEKLY_WEEKS_TO_KEEP', type: 'number', min: 1, max: 52, integer: true, description: 'The number of most recent weeks kept in the weekly agenda sheet.' },
+  { key: 'GRADE_LEVELS', type: 'list', description: 'The grade levels, in the order of the web page\'s grade tabs, separated by commas.' },
+  { key: 'SCHOOL_NAME', type: 'text', description: 'The school name shown in the web page\'s title.' },
+  { key: 'LOGO_URL', type: 'url', description: 'A link to the logo shown next to the web page\'s title; blank for none.' },
+  { key: 'GRADE_COLORS', type: 'list', itemPattern: /^#[0-9a-f]{6}$/i, description: 'The colors of the grade tabs, in order, as #rrggbb separated by commas; they repeat when there are more grades.' },
+  { key: 'DEFAULT_LAYOUT_PROFILE', type: 'text', description: 'The layout profile used for Presentation_IDs rows whose Layout Profile is blank.' },
+  { key: 'LAYOUT_PROFILES', type: 'json', validate: validateLayoutProfilesSetting, description: 'The layout profiles and their box coordinates, as JSON (see LAYOUT_PROFILES in Constants.js).' },
+  { key: 'TRIGGER_SCHEDULE', type: 'json', validate: validateTriggerScheduleSetting, description: 'The trigger schedule, as JSON (see TRIGGER_SCHEDULE in Constants.js). Run "Reinstall Triggers with Current Schedule" after changing it.' }
+];
+
+/**
+ * The settings loaded by this execution (see getSettings).
+ * @type {{values: Object.<string, *>, problems: Array<{key: string, row: number, message: string}>}|null}
+ */
+let loadedSettings = null;
+
+/**
+ * Gets a setting's value: from the settings sheet if it holds a valid value, otherwise from
+ * Constants.js. The settings sheet is read once per execution.
+ * @param {string} key The setting, named as in CONSTANTS (e.g., 'TOLERANCE').
+ * @returns {*} The setting's value.
+ * @throws {Error} If the setting cannot be changed from the settings sheet.
+ */
+function getSetting(key) {
+  if (key === 'SPREADSHEET_ID') return getSpreadsheetIdSetting();
+  const values = getSettings().values;
+  if (!values.hasOwnProperty(key)) {
+    throw new Error(`Unknown setting '${key}'. Settings are listed in SETTINGS_SCHEMA.`);
+  }
+  return values[key];
+}
+
+/**
+ * Gets the ID of the spreadsheet holding the configuration and data: the spreadsheet of the
+ * school being run (see withSchool), otherwise the home spreadsheet.
+ * @returns {string} The spreadsheet ID.
+ */
+function getSpreadsheetIdSetting() {
+  return activeSchool ? activeSchool.spreadsheetId : getHomeSpreadsheetId();
+}
+
+/**
+ * Gets the settings, loading them on first use in this execution.
+ * @returns {{values: Object.<string, *>, problems: Array<{key: string, row: number, message: string}>}}
+ * The value of every setting and the problems found with the sheet's values.
+ */
+function getSettings() {
+  if (!loadedSettings) {
+    loadedSettings = loadSettings();
+  }
+  return loadedSettings;
+}
+
+/**
+ * Opens the spreadsheet holding the settings. The bound spreadsheet is used when it is the one,
+ * so that simple triggers such as onEdit, which cannot open other files, can read the settings.
+ * @returns {GoogleAppsScript.Spreadsheet.Spreadsheet} The spreadsheet.
+ */
+function openSettingsSpreadsheet() {
+  const spreadsheetId = getSpreadsheetIdSetting();
+  const active = SpreadsheetApp.getActiveSpreadsheet();
+  return active && active.getId() === spreadsheetId ? active : SpreadsheetApp.openById(spreadsheetId);
+}
+
+/**
+ * Reads the settings sheet and resolves every setting. A missing or unreadable sheet leaves
+ * every setting at its default.
+ * @returns {{values: Object.<string, *>, problems: Array<{key: string, row: number, message: string}>}}
+ * The value of every setting and the problems found with the sheet's values.
+ */
+function loadSettings() {
+  const values = {};
+  SETTINGS_SCHEMA.forEach(definition => {
+    values[definition.key] = CONSTANTS[definition.key];
+  });
+  const problems = [];
+
+  let rows = [];
+  try {
+    const sheet = openSettingsSpreadsheet().getSheetByName(CONSTANTS.SETTINGS_SHEET_NAME);
+    if (sheet && sheet.getLastRow() >= 2) {
+      rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues();
+    }
+  } catch (e) {
+    Logger.log(`Could not read the settings sheet; using the defaults from Constants.js: ${e.message}`);
+  }
+
+  rows.forEach((row, index) => {
+    const key = String(row[0]).trim();
+    const raw = row[1];
+    if (!key || String(raw).trim() === '') return;
+
+    const definition = SETTINGS_SCHEMA.find(candidate => candidate.key === key);
+    if (!definition) {
+      problems.push({ key: key, row: index + 2, message: `'${key}' is not a setting that can be changed here.` });
+      return;
+    }
+    const parsed = parseSettingValue(definition, raw);
+    if (parsed.error) {
+      problems.push({ key: key, row: index + 2, message: parsed.error });
+    } else {
+      values[key] = parsed.value;
+    }
+  });
+
+  if (!values.LAYOUT_PROFILES.hasOwnProperty(values.DEFAULT_LAYOUT_PROFILE)) {
+    const row = rows.findIndex(row => String(row[0]).trim() === 'DEFAULT_LAYOUT_PROFILE');
+    problems.push({
+      key: 'DEFAULT_LAYOUT_PROFILE',
+      row: row === -1 ? 0 : row + 2,
+      message: `Layout profile '${values.DEFAULT_LAYOUT_PROFILE}' is not defined in the LAYOUT_PROFILES setting.`
+    });
+    values.DEFAULT_LAYOUT_PROFILE = CONSTANTS.DEFAULT_LAYOUT_PROFILE;
+  }
+
+  problems.forEach(problem => Logger.log(`Ignoring setting ${problem.key} (row ${problem.row}): ${problem.message}`));
+  return { values: values, problems: problems };
+}
+
+/**
+ * Reads and checks a settings sheet value.
+ * @param {Object} definition The setting's SETTINGS_SCHEMA entry.
+ * @param {*} raw The cell value.
+ * @returns {{value: *, error: (string|undefined)}} The value, or an error describing why it is invalid.
+ */
+function parseSettingValue(definition, raw) {
+  const text = String(raw).trim();
+  switch (definition.type) {
+    case 'sheetName':
+      if (text.length > 100 || /[\[\]*?\/\\:]/.test(text)) {
+        return { error: `'${text}' is not a valid sheet name.` };
+      }
+      return { value: text };
+
+    case 'fileId': {
+      const id = extractPresentationId(text);
+      if (!isWellFormedPresentationId(id)) {
+        return { error: `'${text}' is not a file ID or a link to a file.` };
+      }
+      return { value: id };
+    }
+
+    case 'number': {
+      const number = typeof raw === 'number' ? raw : Number(text);
+      if (!isFinite(number) || number < definition.min || number > definition.max) {
+        return { error: `Must be a number from ${definition.min} to ${definition.max}.` };
+      }
+      if (definition.integer && Math.floor(number) !== number) {
+        return { error: 'Must be a whole number.' };
+      }
+      return { value: number };
+    }
+
+    case 'url':
+      if (!/^https?:\/\/\S+$/i.test(text)) {
+        return { error: `'${text}' is not an http or https link.` };
+      }
+      return { value: text };
+
+    case 'list': {
+      const items = text.split(',').map(item => item.trim()).filter(item => item);
+      const invalid = definition.itemPattern ? items.filter(item => !definition.itemPattern.test(item)) : [];
+      if (items.length === 0 || invalid.length > 0) {
+        return { error: invalid.length > 0 ? `Not valid: ${invalid.join(', ')}.` : 'Must list at least one item.' };
+      }
+      return { value: items };
+    }
+
+    case 'json': {
+      let value;
+      try {
+        value = JSON.parse(text);
+      } catch (e) {
+        return { error: `Not valid JSON: ${e.message}` };
+      }
+      const error = definition.validate(value);
+      return error ? { error: error } : { value: value };
+    }
+
+    default:
+      return { value: text };
+  }
+}
+
+/**
+ * Checks a LAYOUT_PROFILES setting: every profile's sections, tag aliases, box geometry and
+ * 'extends' must be well formed.
+ * @param {*} profiles The parsed setting.
+ * @returns {string|undefined} The first problem found, or undefined if there is none.
+ */
+function validateLayoutProfilesSetting(profiles) {
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isGeometry = (box) => isObject(box) && ['x', 'y', 'width', 'height'].every(field => typeof box[field] === 'number');
+
+  if (!isObject(profiles) || Object.keys(profiles).length === 0) {
+    return 'Must be an object with at least one layout profile.';
+  }
+  for (const name of Object.keys(profiles)) {
+    const profile = profiles[name];
+    if (!isObject(profile)) return `Profile '${name}' must be an object.`;
+    if (profile.extends !== undefined && !profiles.hasOwnProperty(profile.extends)) {
+      return `Profile '${name}' extends '${profile.extends}', which is not defined.`;
+    }
+    if (profile.sections !== undefined &&
+      (!Array.isArray(profile.sections) || !profile.sections.every(section => typeof section === 'string' && section.trim()))) {
+      return `Profile '${name}': 'sections' must be a list of section names.`;
+    }
+    if (profile.tagAliases !== undefined && !isObject(profile.tagAliases)) {
+      return `Profile '${name}': 'tagAliases' must map aliases to section names.`;
+    }
+    if (profile.days !== undefined) {
+      if (!isObject(profile.days)) return `Profile '${name}': 'days' must map days to boxes.`;
+      for (const day of Object.keys(profile.days)) {
+        if (!isObject(profile.days[day])) return `Profile '${name}', ${day}: must map sections to boxes.`;
+        for (const section of Object.keys(profile.days[day])) {
+          if (!isGeometry(profile.days[day][section])) {
+            return `Profile '${name}', ${day} ${section}: a box needs numeric x, y, width and height.`;
+          }
+        }
+      }
+    }
+    if (profile.upcoming !== undefined && profile.upcoming !== null && !isGeometry(profile.upcoming)) {
+      return `Profile '${name}': 'upcoming' needs numeric x, y, width and height, or null.`;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Checks a TRIGGER_SCHEDULE setting against the intervals Apps Script supports.
+ * @param {*} schedule The parsed setting.
+ * @returns {string|undefined} The first problem found, or undefined if there is none.
+ */
+function validateTriggerScheduleSetting(schedule) {
+  if (schedule === null || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return 'Must be an object.';
+  }
+  const missing = Object.keys(CONSTANTS.TRIGGER_SCHEDULE).filter(field => typeof schedule[field] !== 'number');
+  if (missing.length > 0) return `Needs a number for ${missing.join(', ')}.`;
+
+  const interval = schedule.extractionIntervalMinutes;
+  if (TRIGGER_MINUTE_INTERVALS.indexOf(interval) === -1 &&
+    !(interval % 60 === 0 && TRIGGER_HOUR_INTERVALS.indexOf(interval / 60) !== -1)) {
+    return `extractionIntervalMinutes must be one of ${TRIGGER_MINUTE_INTERVALS.concat(TRIGGER_HOUR_INTERVALS.map(hours => hours * 60)).join(', ')}.`;
+  }
+  if (schedule.weeklyExtractionIntervalHours !== 0 && TRIGGER_HOUR_INTERVALS.indexOf(schedule.weeklyExtractionIntervalHours) === -1) {
+    return `weeklyExtractionIntervalHours must be 0 or one of ${TRIGGER_HOUR_INTERVALS.join(', ')}.`;
+  }
+  if (!(schedule.schoolHoursStart >= 0 && schedule.schoolHoursStart < schedule.schoolHoursEnd && schedule.schoolHoursEnd <= 24)) {
+    return 'schoolHoursStart must come before schoolHoursEnd, both from 0 to 24.';
+  }
+  if (!(schedule.archiveHour >= 0 && schedule.archiveHour <= 23 && schedule.archiveMinute >= 0 && schedule.archiveMinute <= 59)) {
+    return 'archiveHour must be from 0 to 23 and archiveMinute from 0 to 59.';
+  }
+  return undefined;
+}
+
+/**
+ * Formats a setting's value for the settings sheet.
+ * @param {*} value The value.
+ * @returns {string} The value as text: lists separated by commas, JSON for other objects.
+ */
+function formatSettingValue(value) {
+  if (Array.isArray(value)) return value.join(', ');
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Creates the settings sheet, or adds the settings it does not list yet. Values already entered
+ * are kept; the Default and Description columns are refreshed from Constants.js.
+ * Designed to be run from the menu.
+ * @returns {string} A summary of the changes.
+ */
+function setUpSettingsSheet() {
+  const spreadsheet = SpreadsheetApp.openById(getSetting('SPREADSHEET_ID'));
+  const SHEET_NAME = CONSTANTS.SETTINGS_SHEET_NAME;
+  let sheet = spreadsheet.getSheetByName(SHEET_NAME);
+  const created = !sheet;
+  if (created) {
+    sheet = spreadsheet.insertSheet(SHEET_NAME);
+    writeRowsInBatch(sheet, 1, [SETTINGS_HEADERS]);
+    sheet.getRange(1, 1, 1, SETTINGS_HEADERS.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  // Keep IDs and JSON as typed
+  sheet.getRange('B:C').setNumberFormat('@');
+
+  const listed = sheet.getLastRow() >= 2 ?
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues().map(row => String(row[0]).trim()) : [];
+  const added = [];
+  SETTINGS_SCHEMA.forEach(definition => {
+    const defaultAndDescription = [formatSettingValue(CONSTANTS[definition.key]), definition.description];
+    const index = listed.indexOf(definition.key);
+    if (index === -1) {
+      sheet.appendRow([definition.key, ''].concat(defaultAndDescription));
+      added.push(definition.key);
+    } else {
+      sheet.getRange(index + 2, 3, 1, 2).setValues([defaultAndDescription]);
+    }
+  });
+
+  const message = created ?
+    `Created the '${SHEET_NAME}' sheet. Enter a Value to override a setting's Default; leave it blank to use the default.` :
+    (added.length > 0 ? `Added ${added.join(', ')} to the '${SHEET_NAME}' sheet.` : `The '${SHEET_NAME}' sheet already lists every setting.`);
+  Logger.log(message);
+  if (isUiAvailable()) {
+    SpreadsheetApp.getUi().alert(message);
+  }
+  return message;
+}
+
+/**
+ * Notes the problems with the settings sheet's values on their cells and clears the notes of
+ * the valid ones.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The settings sheet.
+ * @param {Array<{key: string, row: number, message: string}>} problems The problems from loadSettings.
+ */
+function applySettingsNotes(sheet, problems) {
+  if (sheet.getLastRow() < 2) return;
+  const notes = [];
+  for (let row = 2; row <= sheet.getLastRow(); row++) {
+    const rowProblems = problems.filter(problem => problem.row === row).map(problem => problem.message);
+    notes.push([rowProblems.length > 0 ? `${rowProblems.join('\n')}\nThe default is used instead.` : '']);
+  }
+  sheet.getRange(2, 2, notes.length, 1).setNotes(notes);
+}
+
+/**
+ * Re-checks the settings sheet when one of its values is edited. Runs from onEdit, so it only
+ * uses the bound spreadsheet.
+ * @param {GoogleAppsScript.Events.SheetsOnEdit} e The edit event.
+ */
+function checkEditedSettings(e) {
+  loadedSettings = null;
+  applySettingsNotes(e.range.getSheet(), getSettings().problems);
+}
+
+/**
+ * Checks every value on the settings sheet, notes the problems on their cells and summarizes
+ * the settings in effect. Designed to be run from the menu.
+ * @returns {string} The summary.
+ */
+function validateSettings() {
+  loadedSettings = null;
+  const settings = getSettings();
+  const sheet = openSettingsSpreadsheet().getSheetByName(CONSTANTS.SETTINGS_SHEET_NAME);
+  let message;
+
+  if (!sheet) {
+    message = `There is no '${CONSTANTS.SETTINGS_SHEET_NAME}' sheet, so every setting uses its default from Constants.js. ` +
+      'Run "Set Up Settings Sheet" to create it.';
+  } else {
+    applySettingsNotes(sheet, settings.problems);
+    const overridden = SETTINGS_SCHEMA
+      .filter(definition => formatSettingValue(settings.values[definition.key]) !== formatSettingValue(CONSTANTS[definition.key]))
+      .map(definition => definition.key);
+    const lines = [overridden.length > 0 ? `Settings changed from their defaults: ${overridden.join(', ')}.` : 'Every setting uses its default.'];
+    if (settings.problems.length > 0) {
+      lines.push('', `${settings.problems.length} values were ignored (see the notes on the sheet):`);
+      settings.problems.forEach(problem => lines.push(`${problem.row ? `Row ${problem.row} ` : ''}(${problem.key}): ${problem.message}`));
+    }
+    message = lines.join('\n');
+  }
+
+  Logger.log(message);
+  if (isUiAvailable()) {
+    SpreadsheetApp.getUi().alert('Validate Settings', message, SpreadsheetApp.getUi().ButtonSet.OK);
+  }
+  return message;
+}
@@ -0,0 +1,259 @@
+/**
+ * @fileoverview The per-run extraction report.
+ * Every extraction run appends one row per presentation to the "Sync Report" sheet, tagged with
+ * the run's ID: its status, the week header rule that found the agenda slide, how each box was
+ * matched, near-miss shapes for boxes that were not found (with their geometry deltas from the
+ * layout profile's box), the error and how long it took. The most recent
+ * CONSTANTS.SYNC_REPORT_RUNS_TO_KEEP runs are kept.
+ *
+ * For troubleshooting one class or day, "Run Extraction Debug Report..." in the menu re-reads the
+ * chosen presentations without publishing anything and adds every text shape's geometry to the report.
+ */
+
+/**
+ * Column headers of the sync report sheet.
+ * @type {Array<string>}
+ */
+const SYNC_REPORT_HEADERS = [
+  'Run ID', 'Time', 'Day', 'Teacher', 'Class', 'Presentation ID', 'Status', 'Header Pattern',
+  'Box Matches', 'Near Misses', 'Error', 'Duration (ms)', 'Shape Details'
+];
+
+/**
+ * Starts the report for one presentation.
+ * @param {Object} entry The Presentation_IDs entry.
+ * @param {string} dayOfWeek The day being extracted.
+ * @param {boolean} [verbose] If true, every text shape on the agenda slide is described in 'Shape Details'.
+ * @returns {Object} The report, filled in as the presentation is processed.
+ */
+function createPresentationReport(entry, dayOfWeek, verbose) {
+  return {
+    startedAt: Date.now(),
+    dayOfWeek: dayOfWeek,
+    teacherLastName: entry.teacherLastName,
+    className: entry.className,
+    presentationId: entry.presentationId,
+    status: '',
+    headerPattern: '',
+    boxMatches: '',
+    nearMisses: [],
+    error: '',
+    durationMs: 0,
+    verbose: !!verbose,
+    shapeDetails: []
+  };
+}
+
+/**
+ * Describes a shape's position and size relative to a layout profile box.
+ * @param {{left: number, top: number, width: number, height: number, text: string}} geometry The shape's geometry and text.
+ * @param {{x: number, y: number, width: number, height: number}} [targetBox] The box to compare with.
+ * @returns {string} A description such as '"Read ch. 4" at (44.1, 331.0) 153.2x51.0, Δx +1.4 Δy +2.0 Δw 0.0 Δh 0.0'.
+ */
+function describeShapeGeometry(geometry, targetBox) {
+  const round = (n) => Math.round(n * 10) / 10;
+  const signed = (n) => (n > 0 ? '+' : '') + round(n).toFixed(1);
+  const snippet = geometry.text.length > 40 ? geometry.text.substring(0, 40) + '…' : geometry.text;
+  let description = `"${snippet.replace(/\s+/g, ' ')}" at (${round(geometry.left)}, ${round(geometry.top)}) ${round(geometry.width)}x${round(geometry.height)}`;
+  if (targetBox) {
+    description += `, Δx ${signed(geometry.left - targetBox.x)} Δy ${signed(geometry.top - targetBox.y)}` +
+      ` Δw ${signed(geometry.width - targetBox.width)} Δh ${signed(geometry.height - targetBox.height)}`;
+  }
+  return description;
+}
+
+/**
+ * Records, for each box that was not found, the untagged text shapes close to the layout
+ * profile's box (every geometry delta under NEAR_MISS_TOLERANCE points, a setting), closest first.
+ * In verbose reports every text shape on the slide is described as well.
+ * @param {Object} report The report from createPresentationReport.
+ * @param {Object.<string, {shape: GoogleAppsScript.Slides.Shape}>} located The located boxes.
+ * @param {Object.<string, Object>} targets The profile's box geometry by section (null if tag-only).
+ * @param {Array<GoogleAppsScript.Slides.Shape>} shapes The untagged shapes with text.
+ */
+function recordBoxDiagnostics(report, located, targets, shapes) {
+  const unmatched = Object.keys(targets).filter(section => !located[section].shape);
+  if (unmatched.length === 0 && !report.verbose) return;
+
+  const locatedShapes = Object.keys(located).map(section => located[section].shape).filter(shape => shape);
+  const geometries = shapes
+    .filter(shape => locatedShapes.indexOf(shape) === -1)
+    .map(shape => ({
+      left: shape.getLeft(), top: shape.getTop(), width: shape.getWidth(), height: shape.getHeight(),
+      text: shape.getText().asString().trim()
+    }))
+    .filter(geometry => geometry.text !== '' && geometry.text !== '...');
+
+  unmatched.forEach(section => {
+    const target = targets[section];
+    if (!target) {
+      report.nearMisses.push(`${section}: no tagged shape (the layout profile has no box geometry for it)`);
+      return;
+    }
+    const candidates = geometries
+      .map(geometry => ({
+        geometry: geometry,
+        delta: Math.max(Math.abs(geometry.left - target.x), Math.abs(geometry.top - target.y),
+          Math.abs(geometry.width - target.width), Math.abs(geometry.height - target.height))
+      }))
+      .filter(candidate => candidate.delta < getSetting('NEAR_MISS_TOLERANCE'))
+      .sort((a, b) => a.delta - b.delta)
+      .slice(0, 3);
+
+    if (candidates.length === 0) {
+      report.nearMisses.push(`${section}: no shape within ${getSetting('NEAR_MISS_TOLERANCE')} pt of the box`);
+    }
+    candidates.forEach(candidate => report.nearMisses.push(`${section}: ${describeShapeGeometry(candidate.geometry, target)}`));
+  });
+
+  if (report.verbose) {
+    geometries.forEach(geometry => report.shapeDetails.push(describeShapeGeometry(geometry)));
+  }
+}
+
+/**
+ * Lays out a presentation's report as a sheet row. The report's duration is set when the
+ * presentation finishes, since rows are written once per chunk.
+ * @param {string} runId The run's ID.
+ * @param {Object} report The report from createPresentationReport.
+ * @returns {Array<*>} The sync report row.
+ */
+function buildSyncReportRow(runId, report) {
+  return [
+    runId, formatTimestamp(new Date()), report.dayOfWeek, report.teacherLastName, report.className,
+    report.presentationId, report.status, report.headerPattern, report.boxMatches,
+    report.nearMisses.join('\n'), report.error, report.durationMs, report.shapeDetails.join('\n')
+  ];
+}
+
+/**
+ * Lays out the closing row of an extraction run: how many rows it published and its totals.
+ * @param {Object} state The completed run state (see startExtractionRun).
+ * @param {number} publishedRows The number of rows published to the data sheet.
+ * @returns {Array<*>} The sync report row.
+ */
+function buildSyncRunSummaryRow(state, publishedRows) {
+  const summary = `${publishedRows} rows published; ${state.rereadCount} re-read, ${state.skippedCount} unchanged, ` +
+    `${state.errorCount} errors (${state.staleCount} served stale), ${state.chunkCount} chunk(s)`;
+  return [
+    state.runId, formatTimestamp(new Date()), state.dayOfWeek, '(run summary)', '', '', 'Published', '',
+    summary, '', '', Date.now() - state.startedAt, ''
+  ];
+}
+
+/**
+ * Gets the sync report sheet, creating it if needed.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The main spreadsheet.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The sync report sheet.
+ */
+function getOrCreateSyncReportSheet(spreadsheet) {
+  const SHEET_NAME = CONSTANTS.SYNC_REPORT_SHEET_NAME;
+  let sheet = spreadsheet.getSheetByName(SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(SHEET_NAME);
+    writeRowsInBatch(sheet, 1, [SYNC_REPORT_HEADERS]);
+    sheet.getRange(1, 1, 1, SYNC_REPORT_HEADERS.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    Logger.log(`Created sync report sheet: ${SHEET_NAME}`);
+  }
+  return sheet;
+}
+
+/**
+ * Appends report rows to the sync report sheet with one range write.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The main spreadsheet.
+ * @param {Array<Array<*>>} rows Rows from buildSyncReportRow.
+ */
+function appendSyncReportRows(spreadsheet, rows) {
+  if (rows.length === 0) return;
+  const sheet = getOrCreateSyncReportSheet(spreadsheet);
+  const startRow = sheet.getLastRow() + 1;
+  ensureSheetSize(sheet, startRow + rows.length - 1, SYNC_REPORT_HEADERS.length);
+  // The run ID column stays plain text so IDs such as '1e10' are not read as numbers
+  sheet.getRange(startRow, 1, rows.length, 1).setNumberFormat('@');
+  writeRowsInBatch(sheet, startRow, rows);
+}
+
+/**
+ * Deletes the oldest runs from the sync report so that, with the run about to start, at most
+ * CONSTANTS.SYNC_REPORT_RUNS_TO_KEEP runs remain. Rows are appended in run order, so the oldest
+ * runs are the rows at the top.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The main spreadsheet.
+ */
+function pruneSyncReport(spreadsheet) {
+  const sheet = spreadsheet.getSheetByName(CONSTANTS.SYNC_REPORT_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return;
+
+  const runIds = sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues().map(row => String(row[0]));
+  const distinctRunIds = runIds.filter((runId, i) => runIds.indexOf(runId) === i);
+  const runsToDrop = distinctRunIds.length - (CONSTANTS.SYNC_REPORT_RUNS_TO_KEEP - 1);
+  if (runsToDrop <= 0) return;
+
+  const firstKeptRow = runIds.indexOf(distinctRunIds[runsToDrop]);
+  const rowsToDelete = firstKeptRow === -1 ? runIds.length : firstKeptRow;
+  sheet.deleteRows(2, rowsToDelete);
+  Logger.log(`Removed ${runsToDrop} old run(s) (${rowsToDelete} rows) from the sync report.`);
+}
+
+/**
+ * Re-reads chosen presentations for a chosen day and writes a detailed report, including every
+ * text shape on each agenda slide, without touching the data sheet or the extraction cache.
+ * Designed to be run from the menu; prompts for a teacher (blank for all) and a day (blank for today).
+ */
+function runSyncDebugReport() {
+  if (!isUiAvailable()) {
+    Logger.log('The extraction debug report prompts for its options and must be run from the spreadsheet menu.');
+    return;
+  }
+  const ui = SpreadsheetApp.getUi();
+
+  const teacherResponse = ui.prompt('Extraction Debug Report', 'Teacher last name (leave blank for all teachers):', ui.ButtonSet.OK_CANCEL);
+  if (teacherResponse.getSelectedButton() !== ui.Button.OK) return;
+  const dayResponse = ui.prompt('Extraction Debug Report', 'Day of the week (leave blank for today):', ui.ButtonSet.OK_CANCEL);
+  if (dayResponse.getSelectedButton() !== ui.Button.OK) return;
+
+  const teacherFilter = teacherResponse.getResponseText().trim().toLowerCase();
+  const dayText = dayResponse.getResponseText().trim();
+  const dayOfWeek = dayText ?
+    dayText.charAt(0).toUpperCase() + dayText.slice(1).toLowerCase() :
+    Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'EEEE');
+
+  const spreadsheet = SpreadsheetApp.openById(getSetting('SPREADSHEET_ID'));
+  const configSheet = spreadsheet.getSheetByName(getSetting('CONFIG_SHEET_NAME'));
+  if (!configSheet) {
+    ui.alert(`Error: Configuration sheet '${getSetting('CONFIG_SHEET_NAME')}' not found. Please ensure it exists.`);
+    return;
+  }
+
+  const configEntries = readPresentationConfig(configSheet)
+    .filter(entry => entry.presentationId && (!teacherFilter || entry.teacherLastName.toLowerCase() === teacherFilter));
+  if (configEntries.length === 0) {
+    ui.alert(`No presentations found for teacher '${teacherResponse.getResponseText().trim()}'.`);
+    return;
+  }
+
+  const { profiles, sections } = resolveLayoutProfiles(configEntries);
+  const headers = buildAgendaHeaders(sections);
+  const weekMatcher = buildCalendarAwareWeekMatcher(spreadsheet, getMondayOfCurrentWeek());
+  const runId = 'debug-' + Utilities.getUuid().substring(0, 8);
+  const startedAt = Date.now();
+  pruneSyncReport(spreadsheet);
+
+  const rows = [];
+  let skipped = 0;
+  for (let i = 0; i < configEntries.length; i++) {
+    if (Date.now() - startedAt >= CONSTANTS.EXTRACTION_TIME_BUDGET_MS) {
+      skipped = configEntries.length - i;
+      break;
+    }
+    const result = extractAgendaRow(configEntries[i], profiles, headers, dayOfWeek, weekMatcher, true);
+    if (result) rows.push(buildSyncReportRow(runId, result.report));
+  }
+  appendSyncReportRows(spreadsheet, rows);
+
+  ui.alert('Extraction Debug Report',
+    `Wrote ${rows.length} rows for ${dayOfWeek} to the "${CONSTANTS.SYNC_REPORT_SHEET_NAME}" sheet under run ID ${runId}.` +
+      (skipped > 0 ? ` ${skipped} presentations were left out to stay within the execution time limit; filter by teacher to cover them.` : '') +
+      ' Nothing was published to the data sheet.',
+    ui.ButtonSet.OK);
+}
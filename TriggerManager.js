@@ -0,0 +1,356 @@
+/**
+ * @fileoverview Installs, lists, repairs and removes the project's time-driven triggers.
+ * The schedule comes from the TRIGGER_SCHEDULE setting: the extraction interval, the school-hours
+ * window the extraction triggers run in and the time of the nightly archive.
+ *
+ * Apps Script triggers belong to the user who created them, and each user only sees their own.
+ * The manager records who last installed the triggers, so when they were installed by someone
+ * else (for example, a previous owner of the spreadsheet), the health report says so.
+ */
+
+/**
+ * The time-based intervals Apps Script accepts, in minutes.
+ * @type {Array<number>}
+ */
+const TRIGGER_MINUTE_INTERVALS = [1, 5, 10, 15, 30];
+
+/**
+ * The hourly intervals Apps Script accepts, in hours.
+ * @type {Array<number>}
+ */
+const TRIGGER_HOUR_INTERVALS = [1, 2, 4, 6, 8, 12];
+
+/**
+ * Handlers of one-off triggers the scripts schedule for themselves, which the manager leaves alone.
+ * @type {Array<string>}
+ */
+const SELF_SCHEDULED_TRIGGER_HANDLERS = ['resumeExtractionTrigger', 'resumeWeeklyExtractionTrigger'];
+
+/**
+ * Describes the triggers the manager installs, following the TRIGGER_SCHEDULE setting.
+ * @returns {Array<{handler: string, description: string, schedule: string, enabled: boolean,
+ *   create: function(): GoogleAppsScript.Script.Trigger}>} Each trigger's handler, what it does,
+ * its schedule, whether the schedule uses it and a function that creates it.
+ */
+function getManagedTriggers() {
+  const schedule = getSetting('TRIGGER_SCHEDULE');
+  const window = `between ${formatHourOfDay(schedule.schoolHoursStart, 0)} and ${formatHourOfDay(schedule.schoolHoursEnd, 0)}`;
+
+  return [
+    {
+      handler: 'runDailyExtractionTrigger',
+      description: 'Daily extraction',
+      schedule: `every ${describeTriggerInterval(schedule.extractionIntervalMinutes)}, ${window}`,
+      enabled: true,
+      create: () => buildIntervalTrigger('runDailyExtractionTrigger', schedule.extractionIntervalMinutes)
+    },
+    {
+      handler: 'runDailyArchiveTrigger',
+      description: 'Nightly archive',
+      schedule: `every day at about ${formatHourOfDay(schedule.archiveHour, schedule.archiveMinute)}`,
+      enabled: true,
+      create: () => ScriptApp.newTrigger('runDailyArchiveTrigger').timeBased()
+        .everyDays(1).atHour(schedule.archiveHour).nearMinute(schedule.archiveMinute).create()
+    },
+    {
+      handler: 'runWeeklyExtractionTrigger',
+      description: 'Weekly extraction',
+      schedule: schedule.weeklyExtractionIntervalHours > 0 ?
+        `every ${describeTriggerInterval(schedule.weeklyExtractionIntervalHours * 60)}, ${window}` : 'not used',
+      enabled: schedule.weeklyExtractionIntervalHours > 0,
+      create: () => buildIntervalTrigger('runWeeklyExtractionTrigger', schedule.weeklyExtractionIntervalHours * 60)
+    }
+  ];
+}
+
+/**
+ * Creates a trigger that runs a handler at a fixed interval.
+ * @param {string} handler The function to run.
+ * @param {number} minutes The interval: one of TRIGGER_MINUTE_INTERVALS, or a whole number of
+ * hours in TRIGGER_HOUR_INTERVALS.
+ * @returns {GoogleAppsScript.Script.Trigger} The trigger.
+ * @throws {Error} If Apps Script does not support the interval.
+ */
+function buildIntervalTrigger(handler, minutes) {
+  const builder = ScriptApp.newTrigger(handler).timeBased();
+  if (TRIGGER_MINUTE_INTERVALS.indexOf(minutes) !== -1) {
+    return builder.everyMinutes(minutes).create();
+  }
+  if (minutes % 60 === 0 && TRIGGER_HOUR_INTERVALS.indexOf(minutes / 60) !== -1) {
+    return builder.everyHours(minutes / 60).create();
+  }
+  const allowed = TRIGGER_MINUTE_INTERVALS.concat(TRIGGER_HOUR_INTERVALS.map(hours => hours * 60));
+  throw new Error(`Unsupported trigger interval for ${handler}: ${minutes} minutes. Use one of ${allowed.join(', ')}.`);
+}
+
+/**
+ * Describes a trigger interval (e.g., "hour", "4 hours", "15 minutes").
+ * @param {number} minutes The interval in minutes.
+ * @returns {string} The description.
+ */
+function describeTriggerInterval(minutes) {
+  if (minutes === 60) return 'hour';
+  if (minutes % 60 === 0) return `${minutes / 60} hours`;
+  return minutes === 1 ? 'minute' : `${minutes} minutes`;
+}
+
+/**
+ * Formats a time of day (e.g., 23, 30 -> "11:30 PM").
+ * @param {number} hour The hour (0-24).
+ * @param {number} minute The minute.
+ * @returns {string} The time.
+ */
+function formatHourOfDay(hour, minute) {
+  const pad = (n) => (n < 10 ? '0' : '') + n;
+  return `${hour % 12 === 0 ? 12 : hour % 12}:${pad(minute)} ${hour % 24 < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * Checks whether a time falls in the school-hours window of the TRIGGER_SCHEDULE setting, in the
+ * script's time zone. The extraction triggers do nothing outside it.
+ * @param {Date} date The time to check.
+ * @returns {boolean} True if the time is within school hours.
+ */
+function isWithinSchoolHours(date) {
+  const hour = Number(Utilities.formatDate(date, Session.getScriptTimeZone(), 'H'));
+  return hour >= getSetting('TRIGGER_SCHEDULE').schoolHoursStart && hour < getSetting('TRIGGER_SCHEDULE').schoolHoursEnd;
+}
+
+/**
+ * Reports the health of the project's triggers as seen by the current user.
+ * @returns {{managed: Array<{handler: string, description: string, schedule: string, enabled: boolean,
+ *   count: number, status: string}>, other: Array<{handler: string, count: number, status: string}>,
+ *   owner: {email: string, installedAt: string}|null, currentUser: string}} Each managed trigger with
+ * its number of installed copies and status ('OK', 'Missing', 'Duplicated' or 'Not used' / 'Should be
+ * removed' when the schedule does not use it), the other triggers ('Scheduled by the scripts' or
+ * 'Handler missing' when their function no longer exists), who last installed the triggers and
+ * the current user.
+ */
+function getTriggerHealth() {
+  const counts = {};
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    counts[trigger.getHandlerFunction()] = (counts[trigger.getHandlerFunction()] || 0) + 1;
+  });
+
+  const managedTriggers = getManagedTriggers();
+  const managed = managedTriggers.map(definition => {
+    const count = counts[definition.handler] || 0;
+    let status;
+    if (!definition.enabled) {
+      status = count > 0 ? 'Should be removed' : 'Not used';
+    } else {
+      status = count === 0 ? 'Missing' : (count > 1 ? 'Duplicated' : 'OK');
+    }
+    return {
+      handler: definition.handler, description: definition.description, schedule: definition.schedule,
+      enabled: definition.enabled, count: count, status: status
+    };
+  });
+
+  const other = Object.keys(counts)
+    .filter(handler => !managedTriggers.some(definition => definition.handler === handler))
+    .map(handler => ({
+      handler: handler,
+      count: counts[handler],
+      status: typeof globalThis[handler] !== 'function' ? 'Handler missing' :
+        (SELF_SCHEDULED_TRIGGER_HANDLERS.indexOf(handler) !== -1 ? 'Scheduled by the scripts' : 'Not managed')
+    }));
+
+  return { managed: managed, other: other, owner: getTriggerOwner(), currentUser: getCurrentUserEmail() };
+}
+
+/**
+ * Gets the email of the user running the script, or '' if it cannot be read.
+ * @returns {string} The email.
+ */
+function getCurrentUserEmail() {
+  try {
+    return Session.getEffectiveUser().getEmail() || '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Gets who last installed or repaired the triggers.
+ * @returns {{email: string, installedAt: string}|null} The installer, or null if not recorded.
+ */
+function getTriggerOwner() {
+  const json = PropertiesService.getScriptProperties().getProperty(CONSTANTS.TRIGGER_OWNER_PROPERTY);
+  if (!json) return null;
+  try {
+    return JSON.parse(json);
+  } catch (e) {
+    Logger.log(`Ignoring unreadable trigger owner: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Records the current user as the owner of the triggers.
+ */
+function recordTriggerOwner() {
+  PropertiesService.getScriptProperties().setProperty(CONSTANTS.TRIGGER_OWNER_PROPERTY, JSON.stringify({
+    email: getCurrentUserEmail(),
+    installedAt: formatTimestamp(new Date())
+  }));
+}
+
+/**
+ * Deletes the current user's triggers that call the given handler.
+ * @param {string} handler The handler function name.
+ * @param {number} [keep] How many of the triggers to keep; defaults to 0.
+ * @returns {number} The number of triggers deleted.
+ */
+function deleteTriggersForHandler(handler, keep) {
+  const triggers = ScriptApp.getProjectTriggers().filter(trigger => trigger.getHandlerFunction() === handler);
+  triggers.slice(keep || 0).forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  return Math.max(triggers.length - (keep || 0), 0);
+}
+
+/**
+ * Describes the trigger health for an alert or the log.
+ * @param {Object} health The result of getTriggerHealth.
+ * @returns {string} The report.
+ */
+function describeTriggerHealth(health) {
+  const lines = health.managed.map(trigger =>
+    `${trigger.description} (${trigger.handler}): ${trigger.status}` +
+    (trigger.count > 1 ? ` — ${trigger.count} installed` : '') +
+    (trigger.enabled ? `\n    ${trigger.schedule}` : ''));
+  health.other.forEach(trigger => lines.push(`${trigger.handler}: ${trigger.status} (${trigger.count})`));
+
+  if (health.owner) {
+    lines.push('', `Last installed by ${health.owner.email || 'an unknown user'} on ${health.owner.installedAt}.`);
+    if (health.owner.email && health.currentUser && health.owner.email !== health.currentUser) {
+      lines.push(`You are ${health.currentUser}; the triggers of ${health.owner.email} are not visible to you. ` +
+        'If they no longer have access, run "Repair Triggers" to install the triggers under your account.');
+    }
+  } else {
+    lines.push('', 'No trigger installation has been recorded. Run "Repair Triggers" to install the triggers.');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Shows the trigger health. Designed to be run from the menu.
+ * @returns {string} The report.
+ */
+function showTriggerHealth() {
+  const message = describeTriggerHealth(getTriggerHealth());
+  Logger.log(message);
+  if (isUiAvailable()) {
+    SpreadsheetApp.getUi().alert('Trigger Health', message, SpreadsheetApp.getUi().ButtonSet.OK);
+  }
+  return message;
+}
+
+/**
+ * Repairs the triggers from the menu or the admin sidebar, for editors of the spreadsheet only
+ * (see Access.js).
+ * @returns {string} A summary of the changes.
+ */
+function repairAgendaTriggers() {
+  requireSpreadsheetEditor('Repairing the triggers');
+  return repairAgendaTriggers_();
+}
+
+/**
+ * Repairs the current user's triggers: installs missing ones, deletes duplicates, triggers the
+ * schedule no longer uses and triggers whose handler function no longer exists.
+ * @returns {string} A summary of the changes.
+ */
+function repairAgendaTriggers_() {
+  const changes = [];
+  getManagedTriggers().forEach(definition => {
+    if (!definition.enabled) {
+      const removed = deleteTriggersForHandler(definition.handler);
+      if (removed > 0) changes.push(`Removed ${removed} unused ${definition.description} trigger(s).`);
+      return;
+    }
+    const removed = deleteTriggersForHandler(definition.handler, 1);
+    if (removed > 0) changes.push(`Removed ${removed} duplicate ${definition.description} trigger(s).`);
+    if (!ScriptApp.getProjectTriggers().some(trigger => trigger.getHandlerFunction() === definition.handler)) {
+      definition.create();
+      changes.push(`Installed the ${definition.description} trigger (${definition.schedule}).`);
+    }
+  });
+
+  getTriggerHealth().other
+    .filter(trigger => trigger.status === 'Handler missing')
+    .forEach(trigger => {
+      deleteTriggersForHandler(trigger.handler);
+      changes.push(`Removed ${trigger.count} trigger(s) for the missing function ${trigger.handler}.`);
+    });
+
+  recordTriggerOwner();
+  const message = (changes.length > 0 ? changes.join('\n') : 'All triggers were already in place.') +
+    '\n\n' + describeTriggerHealth(getTriggerHealth());
+  Logger.log(message);
+  if (isUiAvailable()) {
+    SpreadsheetApp.getUi().alert('Repair Triggers', message, SpreadsheetApp.getUi().ButtonSet.OK);
+  }
+  return message;
+}
+
+/**
+ * Reinstalls the triggers from the menu, for editors of the spreadsheet only (see Access.js).
+ * @returns {string} A summary of the installed triggers.
+ */
+function reinstallAgendaTriggers() {
+  requireSpreadsheetEditor('Reinstalling the triggers');
+  return reinstallAgendaTriggers_();
+}
+
+/**
+ * Deletes and recreates every managed trigger, applying changes to the TRIGGER_SCHEDULE setting.
+ * @returns {string} A summary of the installed triggers.
+ */
+function reinstallAgendaTriggers_() {
+  const definitions = getManagedTriggers();
+  definitions.forEach(definition => deleteTriggersForHandler(definition.handler));
+  definitions.filter(definition => definition.enabled).forEach(definition => definition.create());
+  recordTriggerOwner();
+
+  const message = 'Reinstalled the triggers with the current schedule.\n\n' + describeTriggerHealth(getTriggerHealth());
+  Logger.log(message);
+  if (isUiAvailable()) {
+    SpreadsheetApp.getUi().alert('Reinstall Triggers', message, SpreadsheetApp.getUi().ButtonSet.OK);
+  }
+  return message;
+}
+
+/**
+ * Removes the triggers from the menu, for editors of the spreadsheet only (see Access.js) and
+ * only once they confirm; without a dialog to confirm in, nothing is removed.
+ * @returns {string} A summary of the removed triggers.
+ */
+function removeAgendaTriggers() {
+  requireSpreadsheetEditor('Removing the triggers');
+  if (!isUiAvailable()) {
+    return 'The triggers can only be removed from the spreadsheet menu, where the removal is confirmed. Nothing was removed.';
+  }
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.alert('Remove Triggers',
+    'Remove the extraction, archive and weekly triggers? Agendas will stop updating until the triggers are installed again.',
+    ui.ButtonSet.YES_NO);
+  if (response !== ui.Button.YES) return 'Nothing was removed.';
+  return removeAgendaTriggers_();
+}
+
+/**
+ * Deletes every managed trigger of the current user. Extractions and archives stop until the
+ * triggers are installed again. The caller must have confirmed the removal.
+ * @returns {string} A summary of the removed triggers.
+ */
+function removeAgendaTriggers_() {
+  const removed = getManagedTriggers().reduce((total, definition) => total + deleteTriggersForHandler(definition.handler), 0);
+  PropertiesService.getScriptProperties().deleteProperty(CONSTANTS.TRIGGER_OWNER_PROPERTY);
+
+  const message = `Removed ${removed} trigger(s).`;
+  Logger.log(message);
+  if (isUiAvailable()) {
+    SpreadsheetApp.getUi().alert(message);
+  }
+  return message;
+}
@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Finds the agenda slide for a week by its header.
+ * A slide is the week's agenda slide when one of its shapes holds a week header — a keyword
+ * from CONSTANTS.WEEK_HEADER_LANGUAGES followed by a date — or when its speaker notes hold a
+ * week tag ("AGENDA:Week:<date>"). The date may be written as 9/2/2025, 9/2/25, 9/2, 2025-09-02,
+ * "Sept 2", "September 2nd, 2025" or "2 de septiembre", and may be any day of the week, so a
+ * holiday week labeled with Tuesday's date is still found. A slide dated the week's preferred
+ * day (its Monday, or its first school day; see SchoolCalendar.js) wins over one dated another day.
+ */
+
+/**
+ * Builds the matcher for one week's agenda slide.
+ * @param {Date} monday The Monday of the week.
+ * @param {string} [preferredDate] The date ('yyyy-MM-dd') a slide is preferred for; defaults to the Monday.
+ * @returns {{weekDates: Array<string>, preferredDate: string,
+ *   rules: Array<{language: string, keyword: string, regex: RegExp, dayFirst: boolean}>,
+ *   notesTagRegex: RegExp, monthNames: Array<Array<string>>}} The week's dates in 'yyyy-MM-dd'
+ * format (Monday first), the preferred date, the header rules and the notes tag pattern.
+ */
+function buildWeekHeaderMatcher(monday, preferredDate) {
+  const timeZone = Session.getScriptTimeZone();
+  const weekDates = [];
+  for (let i = 0; i < 7; i++) {
+    // Midday keeps daylight saving changes from moving a day across midnight
+    const date = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + i, 12);
+    weekDates.push(Utilities.formatDate(date, timeZone, 'yyyy-MM-dd'));
+  }
+
+  const rules = [];
+  const monthNames = [];
+  Object.keys(CONSTANTS.WEEK_HEADER_LANGUAGES).forEach(language => {
+    const config = CONSTANTS.WEEK_HEADER_LANGUAGES[language];
+    // Longer keywords first so "SEMANA DEL" is not read as "SEMANA DE" followed by "L"
+    config.keywords.slice().sort((a, b) => b.length - a.length).forEach(keyword => {
+      const pattern = escapeRegExp(keyword.trim()).replace(/\s+/g, '\\s+');
+      rules.push({
+        language: language,
+        keyword: keyword,
+        regex: new RegExp(`(?:^|[^\\p{L}])${pattern}[\\s:,.\\-–]*([^\\n]{0,40})`, 'giu'),
+        dayFirst: !!config.dayFirst
+      });
+    });
+    monthNames.push(config.months.map(name => name.toLowerCase()));
+  });
+
+  const tagPrefix = escapeRegExp(CONSTANTS.BOX_TAG_PREFIX);
+  const tagName = escapeRegExp(CONSTANTS.WEEK_NOTES_TAG);
+  const notesTagRegex = new RegExp(`${tagPrefix}\\s*:\\s*${tagName}\\s*:\\s*([^\\n]{0,40})`, 'i');
+
+  return {
+    weekDates: weekDates,
+    preferredDate: preferredDate || weekDates[0],
+    rules: rules,
+    notesTagRegex: notesTagRegex,
+    monthNames: monthNames
+  };
+}
+
+/**
+ * Escapes a string for literal use in a regular expression.
+ * @param {string} text The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Looks up a month by a name or abbreviation of at least three letters (e.g., "Sept", "sep.", "septiembre").
+ * @param {string} token The word to look up.
+ * @param {Array<Array<string>>} monthNames The month names of each configured language.
+ * @returns {number} The month (1-12), or 0 if the word is not a month.
+ */
+function parseMonthName(token, monthNames) {
+  const word = String(token || '').toLowerCase().replace(/\.$/, '');
+  if (word.length < 3) return 0;
+  for (const names of monthNames) {
+    const index = names.findIndex(name => name.indexOf(word) === 0);
+    if (index !== -1) return index + 1;
+  }
+  return 0;
+}
+
+/**
+ * Reads the date at the start of the text following a week header keyword.
+ * @param {string} text The text after the keyword.
+ * @param {Object} matcher The matcher from buildWeekHeaderMatcher.
+ * @param {boolean} dayFirst Whether numeric dates are written day first (d/M).
+ * @returns {{month: number, day: number, year: number|null, format: string}|null} The date parts
+ * (year is null when not written), or null if the text does not start with a date.
+ */
+function parseHeaderDate(text, matcher, dayFirst) {
+  const trimmed = String(text || '').trim();
+  let match;
+
+  if ((match = trimmed.match(/^(\d{4})-(\d{1,2})-(\d{1,2})\b/))) {
+    return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]), format: 'ISO' };
+  }
+
+  if ((match = trimmed.match(/^(\d{1,2})[\/.\-](\d{1,2})(?:[\/.\-](\d{4}|\d{2}))?(?!\d)/))) {
+    const first = Number(match[1]);
+    const second = Number(match[2]);
+    return {
+      month: dayFirst ? second : first,
+      day: dayFirst ? first : second,
+      year: match[3] ? Number(match[3]) : null,
+      format: 'numeric'
+    };
+  }
+
+  // "Sept 2", "September 2nd, 2025"
+  if ((match = trimmed.match(/^(\p{L}+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?\b(?:,?\s+(\d{4}|\d{2})\b)?/u))) {
+    const month = parseMonthName(match[1], matcher.monthNames);
+    if (month) return { month: month, day: Number(match[2]), year: match[3] ? Number(match[3]) : null, format: 'month name' };
+  }
+
+  // "2 de septiembre", "2 September 2025"
+  if ((match = trimmed.match(/^(\d{1,2})(?:st|nd|rd|th|º)?\s+(?:de\s+)?(\p{L}+)\.?(?:,?\s+(?:de\s+)?(\d{4}|\d{2})\b)?/iu))) {
+    const month = parseMonthName(match[2], matcher.monthNames);
+    if (month) return { month: month, day: Number(match[1]), year: match[3] ? Number(match[3]) : null, format: 'month name' };
+  }
+
+  return null;
+}
+
+/**
+ * Finds which day of the week a parsed header date falls on. A missing year is taken from the
+ * week itself, and a two-digit year is read as 20yy.
+ * @param {{month: number, day: number, year: number|null}} date The parsed date parts.
+ * @param {Object} matcher The matcher from buildWeekHeaderMatcher.
+ * @returns {string|null} The matching week date in 'yyyy-MM-dd' format, or null if the date is not in the week.
+ */
+function findDateInWeek(date, matcher) {
+  const pad = (n) => (n < 10 ? '0' : '') + n;
+  const suffix = `-${pad(date.month)}-${pad(date.day)}`;
+  const years = date.year === null ?
+    matcher.weekDates.map(weekDate => weekDate.substring(0, 4)) :
+    [String(date.year < 100 ? 2000 + date.year : date.year)];
+
+  for (const year of years) {
+    if (matcher.weekDates.indexOf(year + suffix) !== -1) return year + suffix;
+  }
+  return null;
+}
+
+/**
+ * Checks a slide's shapes and speaker notes for the week's header.
+ * @param {GoogleAppsScript.Slides.Slide} slide The slide to check.
+ * @param {Object} matcher The matcher from buildWeekHeaderMatcher.
+ * @returns {{weekDate: string, rule: string}|null} The week date the header names and a
+ * description of the rule that matched, or null if the slide is not the week's agenda slide.
+ * A header dated the preferred day is returned in preference to other dates on the slide.
+ */
+function matchWeekHeaderOnSlide(slide, matcher) {
+  let best = null;
+  const consider = (weekDate, rule) => {
+    if (weekDate && (!best || (weekDate === matcher.preferredDate && best.weekDate !== weekDate))) {
+      best = { weekDate: weekDate, rule: rule };
+    }
+  };
+
+  for (const shape of slide.getShapes()) {
+    const shapeText = shape.getText().asString();
+    for (const rule of matcher.rules) {
+      rule.regex.lastIndex = 0;
+      let match;
+      while ((match = rule.regex.exec(shapeText)) !== null) {
+        const date = parseHeaderDate(match[1], matcher, rule.dayFirst);
+        if (date) consider(findDateInWeek(date, matcher), `${rule.language} "${rule.keyword}" with ${date.format} date`);
+      }
+    }
+    if (best && best.weekDate === matcher.preferredDate) return best;
+  }
+
+  try {
+    const notesText = slide.getNotesPage().getSpeakerNotesShape().getText().asString();
+    const match = notesText.match(matcher.notesTagRegex);
+    if (match) {
+      const date = parseHeaderDate(match[1], matcher, false);
+      if (date) consider(findDateInWeek(date, matcher), `speaker notes tag with ${date.format} date`);
+    }
+  } catch (e) {
+    // Slides without a speaker notes shape simply have no tag
+  }
+
+  return best;
+}
+
+/**
+ * Finds the slide that holds a week's agenda by its header or speaker notes tag.
+ * Slides are checked in order; the first slide dated the preferred day wins, otherwise the
+ * first slide dated any other day of the week.
+ * @param {GoogleAppsScript.Slides.Presentation} presentation The teacher's presentation.
+ * @param {Object} matcher The matcher from buildWeekHeaderMatcher.
+ * @returns {{slide: GoogleAppsScript.Slides.Slide, matchedPattern: string}} The agenda slide
+ * and a description of the rule that matched, including the date it named.
+ * @throws {Error} If the presentation has no slides or no slide carries the week's header.
+ */
+function findAgendaSlide(presentation, matcher) {
+  const slides = presentation.getSlides();
+
+  if (slides.length === 0) {
+    throw new Error("Presentation has no slides.");
+  }
+
+  let fallback = null;
+  for (let i = 0; i < slides.length; i++) {
+    const match = matchWeekHeaderOnSlide(slides[i], matcher);
+    if (!match) continue;
+
+    const found = { slide: slides[i], matchedPattern: `${match.rule} (${match.weekDate}, slide ${i + 1})` };
+    if (match.weekDate === matcher.preferredDate) return found;
+    if (!fallback) fallback = found;
+  }
+  if (fallback) return fallback;
+
+  const keywords = matcher.rules.map(rule => `"${rule.keyword}"`).join(', ');
+  throw new Error(`Slide not found with a ${keywords} header or notes tag dated ${matcher.weekDates[0]} to ${matcher.weekDates[6]}.`);
+}